@@ -0,0 +1,316 @@
+/**
+ * Admin REST API
+ *
+ * JSON endpoints describing the live state of the signaling server, for
+ * dashboards and operations scripts:
+ *
+ *   GET /rooms                  - Rooms with client, camera and viewer counts
+ *   GET /rooms/:room            - A room's clients, cameras and stream sessions
+ *   GET /rooms/:room/clients    - Clients in a room
+ *   GET /rooms/:room/cameras    - Cameras registered in a room
+ *   GET /clients                - Every connected client
+ *   GET /clients/:clientId      - A single client
+ *   GET /streams                - Viewer/camera stream sessions (?room= to filter)
+ *   GET /stats                  - Stream statistics reported by viewers, per camera (?room= to filter)
+ *
+ * and admin actions, which take an optional JSON body `{ "reason": "..." }`:
+ *
+ *   POST /clients/:clientId/kick              - Disconnect a client
+ *   POST /rooms/:room/cameras/:cameraId/evict - Unregister a camera and disconnect it
+ *   POST /rooms/:room/close                   - Remove every member from a room
+ *
+ * When authentication is enabled, every request must carry an admin token
+ * as `Authorization: Bearer <token>`. Admin actions are refused while
+ * authentication is disabled.
+ *
+ * Timestamps are ISO 8601 strings. The router is mounted under /api by
+ * server.js and reads through the state adapter, so every instance reports
+ * the same view of a multi-instance deployment.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { isAdmin } = require('./auth');
+const { summarizeStreamStats } = require('./stream-stats');
+
+/**
+ * Format a timestamp for a response
+ * @private
+ * @param {number|undefined} timestamp - Milliseconds since the epoch
+ * @returns {string|null} ISO 8601 string, or null if unknown
+ */
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Describe a client membership record
+ * @private
+ * @param {Object} client - Membership record with its clientId
+ * @returns {Object} Client description
+ */
+function describeClient(client) {
+  return {
+    clientId: client.clientId,
+    rooms: client.rooms,
+    deviceType: client.deviceType,
+    cameraId: client.cameraId,
+    identity: client.identity || null,
+    connectedAt: formatTime(client.connectedAt),
+    instanceId: client.instanceId
+  };
+}
+
+/**
+ * Describe a stream session
+ * @private
+ * @param {Object} session - Stream session
+ * @returns {Object} Stream session description
+ */
+function describeStream(session) {
+  return {
+    room: session.room,
+    viewerId: session.viewerId,
+    cameraId: session.cameraId,
+    cameraClientId: session.cameraClientId,
+    requestedAt: formatTime(session.createdAt),
+    stats: session.stats || null,
+    statsUpdatedAt: formatTime(session.statsUpdatedAt)
+  };
+}
+
+/**
+ * List the cameras registered in a room
+ * @private
+ * @param {Object} adapter - State adapter
+ * @param {string} room - Room name
+ * @returns {Array<Object>} Camera descriptions
+ */
+function listCameras(adapter, room) {
+  const cameras = [];
+  adapter.getCameras(room).forEach((clientId, cameraId) => {
+    const client = adapter.getClient(clientId);
+    cameras.push({
+      cameraId: cameraId,
+      clientId: clientId,
+      metadata: adapter.getCameraMetadata(room, cameraId),
+      connectedAt: formatTime(client && client.connectedAt)
+    });
+  });
+  return cameras;
+}
+
+/**
+ * List stream sessions, optionally limited to one room
+ * @private
+ * @param {Object} adapter - State adapter
+ * @param {string} [room] - Room name
+ * @returns {Array<Object>} Stream session descriptions
+ */
+function listStreams(adapter, room) {
+  const streams = [];
+  adapter.getStreamSessions().forEach(session => {
+    if (!room || session.room === room) {
+      streams.push(describeStream(session));
+    }
+  });
+  return streams;
+}
+
+/**
+ * Summarize the stream statistics viewers reported, per camera, optionally
+ * limited to one room
+ * @private
+ * @param {Object} adapter - State adapter
+ * @param {string} [room] - Room name
+ * @returns {Array<Object>} Camera summaries
+ */
+function listStreamStats(adapter, room) {
+  // room|cameraId -> { room, cameraId, streams, reports }
+  const cameras = new Map();
+  adapter.getStreamSessions().forEach(session => {
+    if (room && session.room !== room) {
+      return;
+    }
+    const key = `${session.room}|${session.cameraId}`;
+    if (!cameras.has(key)) {
+      cameras.set(key, { room: session.room, cameraId: session.cameraId, streams: 0, reports: [] });
+    }
+    const camera = cameras.get(key);
+    camera.streams++;
+    if (session.stats) {
+      camera.reports.push(session.stats);
+    }
+  });
+
+  return Array.from(cameras.values()).map(camera => ({
+    room: camera.room,
+    cameraId: camera.cameraId,
+    streams: camera.streams,
+    ...summarizeStreamStats(camera.reports)
+  }));
+}
+
+/**
+ * Read the optional reason from an admin action request
+ * @private
+ * @param {express.Request} req - Request
+ * @returns {string|undefined} Reason
+ */
+function getReason(req) {
+  const reason = req.body && req.body.reason;
+  return typeof reason === 'string' ? reason.slice(0, 256) : undefined;
+}
+
+/**
+ * Create the admin API router
+ * @param {Object} options - Router options
+ * @param {function(): Object} options.getStateAdapter - Returns the server's current state adapter
+ * @param {function(): boolean} options.isAuthEnabled - Whether clients must authenticate
+ * @param {function(http.IncomingMessage): Promise<Object|null>} options.authenticate - Resolves to the requester's identity
+ * @param {function(string, string): boolean} options.kickClient - Disconnects a client
+ * @param {function(string, string, string): boolean} options.evictCamera - Evicts a camera from a room
+ * @param {function(string, string): boolean} options.closeRoom - Closes a room
+ * @returns {express.Router} Router to mount under /api
+ */
+function createAdminRouter(options) {
+  const { getStateAdapter, isAuthEnabled, authenticate } = options;
+  const router = express.Router();
+
+  // Require an admin token whenever authentication is enabled
+  router.use(async (req, res, next) => {
+    req.adminIdentity = null;
+    if (!isAuthEnabled()) {
+      next();
+      return;
+    }
+
+    const identity = await authenticate(req);
+    if (!identity) {
+      res.status(401).json({ error: 'unauthorized', message: 'A valid admin token is required' });
+      return;
+    }
+    if (!isAdmin(identity)) {
+      res.status(403).json({ error: 'forbidden', message: 'Admin rights are required' });
+      return;
+    }
+    req.adminIdentity = identity;
+    next();
+  });
+
+  // Admin actions are only available to authenticated administrators
+  const requireAdmin = (req, res, next) => {
+    if (!req.adminIdentity) {
+      res.status(403).json({ error: 'authenticationDisabled', message: 'Admin actions require authentication to be enabled' });
+      return;
+    }
+    next();
+  };
+
+  // Resolve a room from the URL, replying 404 if it has no members
+  const findRoom = (req, res) => {
+    const adapter = getStateAdapter();
+    if (!adapter.getRooms().includes(req.params.room)) {
+      res.status(404).json({ error: 'roomNotFound', message: `Room ${req.params.room} not found` });
+      return null;
+    }
+    return adapter;
+  };
+
+  router.get('/rooms', (req, res) => {
+    const adapter = getStateAdapter();
+    const rooms = adapter.getRooms().map(room => {
+      const members = adapter.getClientsInRoom(room);
+      return {
+        room: room,
+        clients: members.length,
+        cameras: adapter.getCameras(room).size,
+        viewers: members.filter(client => client.deviceType === 'viewer').length
+      };
+    });
+    res.json({ rooms });
+  });
+
+  router.get('/rooms/:room', (req, res) => {
+    const adapter = findRoom(req, res);
+    if (!adapter) {
+      return;
+    }
+    const room = req.params.room;
+    res.json({
+      room: room,
+      clients: adapter.getClientsInRoom(room).map(describeClient),
+      cameras: listCameras(adapter, room),
+      streams: listStreams(adapter, room)
+    });
+  });
+
+  router.get('/rooms/:room/clients', (req, res) => {
+    const adapter = findRoom(req, res);
+    if (adapter) {
+      res.json({ clients: adapter.getClientsInRoom(req.params.room).map(describeClient) });
+    }
+  });
+
+  router.get('/rooms/:room/cameras', (req, res) => {
+    const adapter = findRoom(req, res);
+    if (adapter) {
+      res.json({ cameras: listCameras(adapter, req.params.room) });
+    }
+  });
+
+  router.get('/clients', (req, res) => {
+    res.json({ clients: getStateAdapter().getClients().map(describeClient) });
+  });
+
+  router.get('/clients/:clientId', (req, res) => {
+    const client = getStateAdapter().getClient(req.params.clientId);
+    if (!client) {
+      res.status(404).json({ error: 'clientNotFound', message: `Client ${req.params.clientId} not found` });
+      return;
+    }
+    res.json(describeClient({ clientId: req.params.clientId, ...client }));
+  });
+
+  router.get('/streams', (req, res) => {
+    const room = typeof req.query.room === 'string' ? req.query.room : undefined;
+    res.json({ streams: listStreams(getStateAdapter(), room) });
+  });
+
+  router.get('/stats', (req, res) => {
+    const room = typeof req.query.room === 'string' ? req.query.room : undefined;
+    res.json({ cameras: listStreamStats(getStateAdapter(), room) });
+  });
+
+  router.post('/clients/:clientId/kick', requireAdmin, express.json(), (req, res) => {
+    if (!options.kickClient(req.params.clientId, getReason(req))) {
+      res.status(404).json({ error: 'clientNotFound', message: `Client ${req.params.clientId} not found` });
+      return;
+    }
+    res.json({ success: true });
+  });
+
+  router.post('/rooms/:room/cameras/:cameraId/evict', requireAdmin, express.json(), (req, res) => {
+    if (!options.evictCamera(req.params.room, req.params.cameraId, getReason(req))) {
+      res.status(404).json({ error: 'cameraNotFound', message: `Camera ${req.params.cameraId} not found in room ${req.params.room}` });
+      return;
+    }
+    res.json({ success: true });
+  });
+
+  router.post('/rooms/:room/close', requireAdmin, express.json(), (req, res) => {
+    if (!options.closeRoom(req.params.room, getReason(req))) {
+      res.status(404).json({ error: 'roomNotFound', message: `Room ${req.params.room} not found` });
+      return;
+    }
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
@@ -0,0 +1,193 @@
+/**
+ * Signaling Server Authentication
+ *
+ * Helpers for issuing and verifying the signed tokens that clients present
+ * when opening a WebSocket connection to the signaling server.
+ *
+ * Tokens use the compact JWT format signed with HMAC-SHA256 (HS256), so they
+ * can also be minted by any standard JWT library sharing the same secret.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+// Sub-protocol name that precedes the token in Sec-WebSocket-Protocol
+const AUTH_PROTOCOL = 'access_token';
+
+/**
+ * Encode a buffer or string as base64url
+ * @private
+ * @param {Buffer|string} input - Data to encode
+ * @returns {string} base64url encoded string
+ */
+function base64UrlEncode(input) {
+  return Buffer.from(input)
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Decode a base64url string
+ * @private
+ * @param {string} input - base64url encoded string
+ * @returns {Buffer} Decoded data
+ */
+function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(base64 + '='.repeat((4 - base64.length % 4) % 4), 'base64');
+}
+
+/**
+ * Compute the HS256 signature for a token's header and payload
+ * @private
+ * @param {string} signingInput - "<header>.<payload>" string
+ * @param {string} secret - Shared signing secret
+ * @returns {string} base64url encoded signature
+ */
+function sign(signingInput, secret) {
+  return base64UrlEncode(crypto.createHmac('sha256', secret).update(signingInput).digest());
+}
+
+/**
+ * Create a signed token
+ * @param {Object} claims - Token claims; `sub` identifies the client
+ * @param {string} secret - Shared signing secret
+ * @param {Object} [options] - Token options
+ * @param {number} [options.expiresIn] - Lifetime in seconds
+ * @returns {string} Signed token
+ */
+function signToken(claims, secret, options = {}) {
+  if (!secret) {
+    throw new Error('A secret is required to sign tokens');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iat: now, ...claims };
+  if (options.expiresIn) {
+    payload.exp = now + options.expiresIn;
+  }
+
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64UrlEncode(JSON.stringify(payload));
+  return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Verify a signed token
+ * @param {string} token - Token to verify
+ * @param {string} secret - Shared signing secret
+ * @returns {Object} Verified claims
+ * @throws {Error} If the token is malformed, has a bad signature or is expired
+ */
+function verifyToken(token, secret) {
+  if (typeof token !== 'string') {
+    throw new Error('Token missing');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [header, body, signature] = parts;
+
+  let decodedHeader;
+  let claims;
+  try {
+    decodedHeader = JSON.parse(base64UrlDecode(header).toString('utf8'));
+    claims = JSON.parse(base64UrlDecode(body).toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  if (decodedHeader.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm ${decodedHeader.alg}`);
+  }
+
+  // Compare signatures in constant time
+  const expected = Buffer.from(sign(`${header}.${body}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && claims.exp <= now) {
+    throw new Error('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now) {
+    throw new Error('Token not yet valid');
+  }
+
+  return claims;
+}
+
+/**
+ * Create a verify hook that checks HS256 tokens against a shared secret
+ * @param {string} secret - Shared signing secret
+ * @returns {function(string, http.IncomingMessage): Promise<Object>} Verify hook resolving to the client identity
+ */
+function createHmacVerifier(secret) {
+  return async (token) => {
+    const claims = verifyToken(token, secret);
+    return { ...claims, id: claims.sub };
+  };
+}
+
+/**
+ * Extract the token presented on a WebSocket upgrade or HTTP request
+ *
+ * The token is read from an `Authorization: Bearer <token>` header, from the
+ * `token` query string parameter, or from the Sec-WebSocket-Protocol header
+ * when offered as `access_token, <token>`.
+ * @param {http.IncomingMessage} req - Upgrade or HTTP request
+ * @returns {string|null} Token, or null if none was presented
+ */
+function extractToken(req) {
+  const authorization = req.headers.authorization;
+  if (authorization && /^Bearer /i.test(authorization)) {
+    return authorization.slice(7).trim() || null;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) {
+    return queryToken;
+  }
+
+  const protocolHeader = req.headers['sec-websocket-protocol'];
+  if (protocolHeader) {
+    const protocols = protocolHeader.split(',').map(protocol => protocol.trim());
+    const index = protocols.indexOf(AUTH_PROTOCOL);
+    if (index !== -1 && protocols[index + 1]) {
+      return protocols[index + 1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a verified identity holds admin rights
+ *
+ * Admin rights are granted by an `admin: true` claim, or by a custom verify
+ * hook resolving to an identity with `admin: true`.
+ * @param {Object|null} identity - Verified identity
+ * @returns {boolean} True if the identity is an administrator
+ */
+function isAdmin(identity) {
+  return Boolean(identity && identity.admin === true);
+}
+
+module.exports = {
+  AUTH_PROTOCOL,
+  signToken,
+  verifyToken,
+  createHmacVerifier,
+  extractToken,
+  isAdmin
+};
@@ -0,0 +1,145 @@
+/**
+ * Camera Metadata
+ *
+ * Cameras describe themselves when they register and may update the
+ * description later:
+ *
+ *   {
+ *     "name": "Front door",
+ *     "location": "Building A, entrance",
+ *     "tags": ["outdoor", "entrance"],
+ *     "resolutions": ["1920x1080", "1280x720"],
+ *     "frameRates": [30, 15],
+ *     "capabilities": { "audio": true, "ptz": false, "talkback": false }
+ *   }
+ *
+ * Every field is optional. Unknown fields are dropped so viewers only ever
+ * receive the documented shape.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+const { ErrorCodes } = require('./signaling-schema');
+
+const MAX_TEXT_LENGTH = 256;
+const MAX_LIST_LENGTH = 32;
+const CAPABILITIES = ['audio', 'ptz', 'talkback'];
+
+/**
+ * Build a validation failure
+ * @private
+ * @param {string} field - Metadata field name
+ * @param {string} expected - Description of the expected value
+ * @returns {Object} Validation failure `{ code, message }`
+ */
+function invalid(field, expected) {
+  return { code: ErrorCodes.INVALID_FIELD, message: `Camera metadata field '${field}' must be ${expected}` };
+}
+
+/**
+ * Check that a value is a list of bounded length whose items pass a test
+ * @private
+ * @param {*} value - Value to check
+ * @param {function(*): boolean} test - Item test
+ * @returns {boolean} True if valid
+ */
+function isListOf(value, test) {
+  return Array.isArray(value) && value.length <= MAX_LIST_LENGTH && value.every(test);
+}
+
+const isText = value => typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+const isResolution = value => typeof value === 'string' && /^\d{1,5}x\d{1,5}$/.test(value);
+const isFrameRate = value => typeof value === 'number' && value > 0 && value <= 1000;
+
+/**
+ * Validate camera metadata and strip unknown fields
+ * @param {Object} input - Metadata sent by a camera
+ * @returns {Object} `{ metadata }` with the normalized metadata, or `{ error }`
+ *   with a validation failure `{ code, message }`
+ */
+function normalizeCameraMetadata(input) {
+  const metadata = {};
+
+  for (const field of ['name', 'location']) {
+    if (input[field] !== undefined) {
+      if (!isText(input[field])) {
+        return { error: invalid(field, `a string of at most ${MAX_TEXT_LENGTH} characters`) };
+      }
+      metadata[field] = input[field];
+    }
+  }
+
+  if (input.tags !== undefined) {
+    if (!isListOf(input.tags, isText)) {
+      return { error: invalid('tags', `a list of at most ${MAX_LIST_LENGTH} strings`) };
+    }
+    metadata.tags = Array.from(new Set(input.tags));
+  }
+
+  if (input.resolutions !== undefined) {
+    if (!isListOf(input.resolutions, isResolution)) {
+      return { error: invalid('resolutions', "a list of 'WIDTHxHEIGHT' strings") };
+    }
+    metadata.resolutions = input.resolutions;
+  }
+
+  if (input.frameRates !== undefined) {
+    if (!isListOf(input.frameRates, isFrameRate)) {
+      return { error: invalid('frameRates', 'a list of positive numbers') };
+    }
+    metadata.frameRates = input.frameRates;
+  }
+
+  if (input.capabilities !== undefined) {
+    const capabilities = input.capabilities;
+    if (!capabilities || typeof capabilities !== 'object' || Array.isArray(capabilities)) {
+      return { error: invalid('capabilities', 'an object') };
+    }
+    metadata.capabilities = {};
+    for (const name of CAPABILITIES) {
+      if (capabilities[name] !== undefined) {
+        if (typeof capabilities[name] !== 'boolean') {
+          return { error: invalid(`capabilities.${name}`, 'a boolean') };
+        }
+        metadata.capabilities[name] = capabilities[name];
+      }
+    }
+  }
+
+  return { metadata };
+}
+
+/**
+ * Check whether a camera matches a listing filter. A camera matches when it
+ * has every requested tag and the name query occurs in its name or camera ID,
+ * ignoring case.
+ * @param {string} cameraId - Camera ID
+ * @param {Object} metadata - Camera metadata
+ * @param {Object} filter - Listing filter
+ * @param {Array<string>} [filter.tags] - Tags the camera must have
+ * @param {string} [filter.name] - Text to find in the camera's name or ID
+ * @returns {boolean} True if the camera matches
+ */
+function matchesCameraFilter(cameraId, metadata, filter) {
+  if (filter.tags && filter.tags.length > 0) {
+    const tags = metadata.tags || [];
+    if (!filter.tags.every(tag => tags.includes(tag))) {
+      return false;
+    }
+  }
+
+  if (filter.name) {
+    const query = filter.name.toLowerCase();
+    if (![cameraId, metadata.name || ''].some(text => text.toLowerCase().includes(query))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  normalizeCameraMetadata,
+  matchesCameraFilter
+};
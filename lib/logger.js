@@ -0,0 +1,153 @@
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line with a timestamp, level and message plus
+ * any context fields:
+ *
+ *   {"time":"2024-01-01T00:00:00.000Z","level":"info","msg":"Client joined room","clientId":"abc","room":"lobby"}
+ *
+ * Levels, from most to least verbose: debug, info, warn, error, silent.
+ * The default level comes from the LOG_LEVEL environment variable, falling
+ * back to 'info'. Child loggers add fields to every entry and share their
+ * parent's level, so changing the level at runtime affects them all.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+/**
+ * Convert a field value to something JSON can represent
+ * @private
+ * @param {*} value - Field value
+ * @returns {*} Serializable value
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return { message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+/**
+ * Leveled JSON logger
+ */
+class Logger {
+  /**
+   * Create a new logger
+   * @param {Object} [options] - Logger options
+   * @param {string} [options.level] - Minimum level to write (defaults to LOG_LEVEL or 'info')
+   * @param {Object} [options.fields] - Fields added to every entry
+   * @param {function(string): void} [options.write] - Writes a formatted line (defaults to stdout)
+   */
+  constructor(options = {}) {
+    this.fields = options.fields || {};
+    // Shared with child loggers
+    this._config = options._config || {
+      level: LEVELS.info,
+      write: options.write || (line => process.stdout.write(line + '\n'))
+    };
+    if (!options._config) {
+      this.setLevel(options.level || process.env.LOG_LEVEL || 'info');
+    }
+  }
+
+  /**
+   * Set the minimum level written by this logger and its children
+   * @param {string} level - 'debug', 'info', 'warn', 'error' or 'silent'
+   */
+  setLevel(level) {
+    if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+      throw new Error(`Unknown log level ${level}`);
+    }
+    this._config.level = LEVELS[level];
+  }
+
+  /**
+   * Check whether entries at a level are written
+   * @param {string} level - Log level
+   * @returns {boolean} True if the level is enabled
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= this._config.level;
+  }
+
+  /**
+   * Create a logger that adds fields to every entry
+   * @param {Object} fields - Context fields
+   * @returns {Logger} Child logger
+   */
+  child(fields) {
+    return new Logger({ fields: { ...this.fields, ...fields }, _config: this._config });
+  }
+
+  /**
+   * Write an entry
+   * @private
+   * @param {string} level - Log level
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Additional fields
+   */
+  _log(level, msg, fields) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg };
+    const allFields = { ...this.fields, ...fields };
+    Object.keys(allFields).forEach(name => {
+      if (allFields[name] !== undefined && allFields[name] !== null) {
+        entry[name] = serializeValue(allFields[name]);
+      }
+    });
+    this._config.write(JSON.stringify(entry));
+  }
+
+  /**
+   * Log at debug level
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Additional fields
+   */
+  debug(msg, fields) {
+    this._log('debug', msg, fields);
+  }
+
+  /**
+   * Log at info level
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Additional fields
+   */
+  info(msg, fields) {
+    this._log('info', msg, fields);
+  }
+
+  /**
+   * Log at warn level
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Additional fields
+   */
+  warn(msg, fields) {
+    this._log('warn', msg, fields);
+  }
+
+  /**
+   * Log at error level
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Additional fields
+   */
+  error(msg, fields) {
+    this._log('error', msg, fields);
+  }
+}
+
+module.exports = {
+  LEVELS,
+  Logger
+};
@@ -0,0 +1,276 @@
+/**
+ * Prometheus Metrics
+ *
+ * Minimal counters, gauges and histograms rendered in the Prometheus text
+ * exposition format, so the server can be scraped without extra
+ * dependencies.
+ *
+ * Gauges can be given a `collect` callback that returns their current
+ * values at scrape time, for values read from server state rather than
+ * updated as events happen.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+// Content type of the Prometheus text exposition format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value
+ * @private
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set
+ * @private
+ * @param {Object} labels - Label names and values
+ * @returns {string} Rendered labels, e.g. `{type="offer"}`, or '' if empty
+ */
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) {
+    return '';
+  }
+  return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+/**
+ * Base class for metrics with labelled values
+ */
+class Metric {
+  /**
+   * Create a new metric
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Help text
+   * @param {Array<string>} [options.labelNames] - Names of the metric's labels
+   * @param {string} type - Prometheus metric type
+   */
+  constructor(options, type) {
+    this.name = options.name;
+    this.help = options.help;
+    this.labelNames = options.labelNames || [];
+    this.type = type;
+    // label key -> { labels, value }
+    this.values = new Map();
+  }
+
+  /**
+   * Get the stored entry for a label set, creating it if needed
+   * @private
+   * @param {Object} labels - Label values
+   * @param {function(): *} initial - Creates the initial value
+   * @returns {Object} Entry with labels and value
+   */
+  _entry(labels, initial) {
+    const picked = {};
+    this.labelNames.forEach(name => {
+      picked[name] = labels[name] === undefined ? '' : labels[name];
+    });
+    const key = JSON.stringify(picked);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: picked, value: initial() });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Render the metric's samples
+   * @private
+   * @returns {Array<string>} Sample lines
+   */
+  _samples() {
+    return Array.from(this.values.values(), entry => `${this.name}${formatLabels(entry.labels)} ${entry.value}`);
+  }
+
+  /**
+   * Render the metric in the text exposition format
+   * @returns {string} Rendered metric
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this._samples()
+    ].join('\n');
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ * @extends Metric
+ */
+class Counter extends Metric {
+  /**
+   * Create a new counter
+   * @param {Object} options - Metric options (see Metric)
+   */
+  constructor(options) {
+    super(options, 'counter');
+    // Report unlabelled counters from the start rather than after the first event
+    if (this.labelNames.length === 0) {
+      this._entry({}, () => 0);
+    }
+  }
+
+  /**
+   * Increment the counter
+   * @param {Object} [labels] - Label values
+   * @param {number} [value=1] - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    this._entry(labels, () => 0).value += value;
+  }
+}
+
+/**
+ * Value that can go up and down
+ * @extends Metric
+ */
+class Gauge extends Metric {
+  /**
+   * Create a new gauge
+   * @param {Object} options - Metric options (see Metric)
+   * @param {function(): Array<Object>} [options.collect] - Returns the current
+   *   `{ labels, value }` samples at scrape time
+   */
+  constructor(options) {
+    super(options, 'gauge');
+    this.collect = options.collect || null;
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this._entry(labels, () => 0).value = value;
+  }
+
+  _samples() {
+    if (this.collect) {
+      this.values.clear();
+      this.collect().forEach(sample => this.set(sample.labels || {}, sample.value));
+    }
+    return super._samples();
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ * @extends Metric
+ */
+class Histogram extends Metric {
+  /**
+   * Create a new histogram
+   * @param {Object} options - Metric options (see Metric)
+   * @param {Array<number>} options.buckets - Upper bounds of the buckets, ascending
+   */
+  constructor(options) {
+    super(options, 'histogram');
+    this.buckets = options.buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {number} value - Observed value
+   * @param {Object} [labels] - Label values
+   */
+  observe(value, labels = {}) {
+    const entry = this._entry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.value.counts[index]++;
+      }
+    });
+    entry.value.sum += value;
+    entry.value.count++;
+  }
+
+  _samples() {
+    const lines = [];
+    this.values.forEach(({ labels, value }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics rendered together
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Create and register a counter
+   * @param {Object} options - Metric options
+   * @returns {Counter} Counter
+   */
+  counter(options) {
+    return this._register(new Counter(options));
+  }
+
+  /**
+   * Create and register a gauge
+   * @param {Object} options - Metric options
+   * @returns {Gauge} Gauge
+   */
+  gauge(options) {
+    return this._register(new Gauge(options));
+  }
+
+  /**
+   * Create and register a histogram
+   * @param {Object} options - Metric options
+   * @returns {Histogram} Histogram
+   */
+  histogram(options) {
+    return this._register(new Histogram(options));
+  }
+
+  /**
+   * Add a metric to the registry
+   * @private
+   * @param {Metric} metric - Metric to add
+   * @returns {Metric} The metric
+   */
+  _register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric in the text exposition format
+   * @returns {string} Exposition text
+   */
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry
+};
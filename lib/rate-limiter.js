@@ -0,0 +1,131 @@
+/**
+ * Per-Client Rate Limiting
+ *
+ * Each client gets a token bucket per message type. A bucket holds up to
+ * `burst` tokens and refills at `rate` tokens per second; every message
+ * takes one token and is refused when the bucket is empty.
+ *
+ * Refused messages count as violations. Violations have their own bucket,
+ * allowing `maxViolations` per `violationWindow`; a client that exhausts it
+ * should be disconnected.
+ *
+ * Limits are given per message type. Types that are not listed share the
+ * `default` bucket, and a type set to null is not limited:
+ *
+ *   {
+ *     "requestStream": { "burst": 5, "rate": 1 },
+ *     "default": { "burst": 20, "rate": 10 }
+ *   }
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+// Limits applied when none are configured
+const DEFAULT_LIMITS = {
+  join: { burst: 5, rate: 1 },
+  requestStream: { burst: 5, rate: 1 },
+  offer: { burst: 10, rate: 2 },
+  answer: { burst: 10, rate: 2 },
+  iceCandidate: { burst: 100, rate: 20 },
+  ping: { burst: 5, rate: 1 },
+  listCameras: { burst: 10, rate: 2 },
+  streamStats: { burst: 5, rate: 1 },
+  default: { burst: 20, rate: 10 }
+};
+
+/**
+ * Token bucket
+ */
+class TokenBucket {
+  /**
+   * Create a full token bucket
+   * @param {number} capacity - Maximum number of tokens
+   * @param {number} refillRate - Tokens added per second
+   */
+  constructor(capacity, refillRate) {
+    this.capacity = capacity;
+    this.refillRate = refillRate;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Take a token if one is available
+   * @returns {boolean} True if a token was taken
+   */
+  take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) / 1000 * this.refillRate);
+    this.lastRefill = now;
+
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+/**
+ * Rate limiter for one client
+ */
+class RateLimiter {
+  /**
+   * Create a rate limiter
+   * @param {Object} [options] - Limiter options
+   * @param {Object} [options.limits] - Limits by message type (see module docs)
+   * @param {number} [options.maxViolations=20] - Refused messages tolerated per window
+   * @param {number} [options.violationWindow=60000] - Window in ms over which violations are counted
+   */
+  constructor(options = {}) {
+    this.limits = options.limits || DEFAULT_LIMITS;
+    const maxViolations = options.maxViolations || 20;
+    const violationWindow = options.violationWindow || 60000;
+    this.violations = new TokenBucket(maxViolations, maxViolations / (violationWindow / 1000));
+    // message type -> TokenBucket
+    this.buckets = new Map();
+  }
+
+  /**
+   * Check whether a message of the given type may be handled
+   * @param {string} type - Message type
+   * @returns {Object} `{ allowed, disconnect }`; disconnect is true once the
+   *   client has run out of tolerated violations
+   */
+  check(type) {
+    const key = Object.prototype.hasOwnProperty.call(this.limits, type) ? type : 'default';
+    const limit = this.limits[key];
+    if (!limit) {
+      return { allowed: true, disconnect: false };
+    }
+
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new TokenBucket(limit.burst, limit.rate));
+    }
+    if (this.buckets.get(key).take()) {
+      return { allowed: true, disconnect: false };
+    }
+
+    return { allowed: false, disconnect: !this.violations.take() };
+  }
+}
+
+/**
+ * Combine configured limits with the defaults
+ * @param {string} [json] - JSON object of limits by message type
+ * @returns {Object} Limits by message type
+ */
+function parseRateLimits(json) {
+  if (!json) {
+    return DEFAULT_LIMITS;
+  }
+  return { ...DEFAULT_LIMITS, ...JSON.parse(json) };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  TokenBucket,
+  RateLimiter,
+  parseRateLimits
+};
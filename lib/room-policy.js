@@ -0,0 +1,146 @@
+/**
+ * Room Access Policies
+ *
+ * Rooms without a policy are open to everyone. A policy can require a room
+ * secret, restrict the room to an allowlist of identities, grant the right
+ * to publish cameras and to view separately, and reserve camera IDs for
+ * their owners:
+ *
+ *   {
+ *     "secret": "optional-room-secret",
+ *     "allow": ["alice", "bob", "camera-01"],
+ *     "publish": ["camera-01"],
+ *     "view": "*",
+ *     "cameras": {
+ *       "front-door": { "owner": "camera-01", "key": "front-door-key" }
+ *     }
+ *   }
+ *
+ * `allow`, `publish` and `view` accept a list of identity IDs or "*" for
+ * anyone; an omitted entry places no restriction. A camera ID listed under
+ * `cameras` can only be registered by the `owner` identity and with the
+ * `key`, whichever of the two are given. Ownership comes from the policy
+ * alone, so every server instance loading the same policies agrees on it.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Compare two secrets in constant time
+ * @private
+ * @param {string} expected - Configured secret
+ * @param {*} actual - Secret presented by the client
+ * @returns {boolean} True if the secrets match
+ */
+function secretsMatch(expected, actual) {
+  if (typeof actual !== 'string') {
+    return false;
+  }
+  const a = crypto.createHash('sha256').update(String(expected)).digest();
+  const b = crypto.createHash('sha256').update(actual).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check whether an identity is matched by a policy entry
+ * @private
+ * @param {Array<string>|string|undefined} entry - Policy entry
+ * @param {string|null} identityId - Verified identity ID
+ * @returns {boolean} True if the entry grants access
+ */
+function isGranted(entry, identityId) {
+  if (entry === undefined || entry === null || entry === '*') {
+    return true;
+  }
+  return Array.isArray(entry) && identityId !== null && entry.includes(identityId);
+}
+
+/**
+ * Check a join request against a room policy
+ * @param {Object|undefined} policy - Room policy (undefined for open rooms)
+ * @param {Object} request - Join request details
+ * @param {string|null} request.identityId - Verified identity ID of the client
+ * @param {string} request.deviceType - 'camera' or 'viewer'
+ * @param {string} [request.secret] - Room secret presented by the client
+ * @returns {Object|null} Rejection `{ reason, message }`, or null if the join is allowed
+ */
+function checkJoin(policy, { identityId, deviceType, secret }) {
+  if (!policy) {
+    return null;
+  }
+
+  if (policy.secret !== undefined && !secretsMatch(policy.secret, secret)) {
+    return { reason: 'invalidSecret', message: 'Room secret is missing or incorrect' };
+  }
+
+  if (!isGranted(policy.allow, identityId)) {
+    return { reason: 'notAllowed', message: 'Not allowed to join this room' };
+  }
+
+  if (deviceType === 'camera') {
+    if (!isGranted(policy.publish, identityId)) {
+      return { reason: 'publishNotAllowed', message: 'Not allowed to publish cameras in this room' };
+    }
+  } else if (!isGranted(policy.view, identityId)) {
+    return { reason: 'viewNotAllowed', message: 'Not allowed to view cameras in this room' };
+  }
+
+  return null;
+}
+
+/**
+ * Get the reservation a room policy holds for a camera ID
+ * @param {Object|undefined} policy - Room policy (undefined for open rooms)
+ * @param {string} cameraId - Camera ID
+ * @returns {Object|null} `{ owner, key }` entry, or null if the ID is not reserved
+ */
+function getCameraReservation(policy, cameraId) {
+  return policy && policy.cameras && Object.prototype.hasOwnProperty.call(policy.cameras, cameraId)
+    ? policy.cameras[cameraId]
+    : null;
+}
+
+/**
+ * Check a camera registration against the camera IDs a room policy reserves
+ * @param {Object|undefined} policy - Room policy (undefined for open rooms)
+ * @param {Object} request - Registration details
+ * @param {string} request.cameraId - Camera ID being registered
+ * @param {string|null} request.identityId - Verified identity ID of the client
+ * @param {string} [request.cameraKey] - Camera key presented by the client
+ * @returns {Object|null} Rejection `{ reason, message }`, or null if the registration is allowed
+ */
+function checkCameraOwnership(policy, { cameraId, identityId, cameraKey }) {
+  const owner = getCameraReservation(policy, cameraId);
+  if (!owner) {
+    return null;
+  }
+
+  const identityMatches = owner.owner === undefined || owner.owner === identityId;
+  const keyMatches = owner.key === undefined || secretsMatch(owner.key, cameraKey);
+  if (!identityMatches || !keyMatches) {
+    return { reason: 'cameraIdOwned', message: `Camera ID ${cameraId} is owned by another client` };
+  }
+
+  return null;
+}
+
+/**
+ * Load room policies from a JSON file mapping room names to policies
+ * @param {string} filePath - Path to the policy file
+ * @returns {Map<string, Object>} Policies by room name
+ */
+function loadRoomPolicies(filePath) {
+  const policies = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return new Map(Object.entries(policies));
+}
+
+module.exports = {
+  checkJoin,
+  checkCameraOwnership,
+  getCameraReservation,
+  loadRoomPolicies
+};
@@ -0,0 +1,253 @@
+/**
+ * Signaling Protocol Schema
+ *
+ * Declares the fields each inbound signaling message type may carry and
+ * validates messages against them before the server acts on them.
+ *
+ * Field rules:
+ * - type: 'string', 'object', 'array', 'number' or 'boolean'
+ * - required: the field must be present
+ * - nullable: null is accepted in place of a value
+ * - maxLength: maximum string or list length
+ * - maxSize: maximum serialized JSON size in characters (for objects)
+ * - values: list of accepted values
+ * - items: field rules each entry of a list must satisfy; entries must be objects
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+// Size limits for SDP and ICE candidate payloads
+const MAX_SDP_SIZE = parseInt(process.env.MAX_SDP_SIZE, 10) || 64 * 1024;
+const MAX_CANDIDATE_SIZE = parseInt(process.env.MAX_CANDIDATE_SIZE, 10) || 4 * 1024;
+
+// Length limit for identifiers such as room names and client IDs
+const MAX_ID_LENGTH = 128;
+
+// Size limit for camera metadata
+const MAX_METADATA_SIZE = 4 * 1024;
+
+// Size limit for stream statistics reports
+const MAX_STATS_SIZE = 2 * 1024;
+
+// Most stream statistics reports in one streamStats message
+const MAX_STATS_REPORTS = 100;
+
+// Machine-readable error codes for rejected messages. Every `error` reply
+// the server sends carries one of these.
+const ErrorCodes = {
+  // Malformed or oversized messages
+  PARSE_ERROR: 'parseError',
+  INVALID_MESSAGE: 'invalidMessage',
+  UNKNOWN_TYPE: 'unknownType',
+  MISSING_FIELD: 'missingField',
+  INVALID_FIELD: 'invalidField',
+  FIELD_TOO_LARGE: 'fieldTooLarge',
+  RATE_LIMITED: 'rateLimited',
+  PAYLOAD_TOO_LARGE: 'payloadTooLarge',
+  // Rooms
+  NOT_IN_ROOM: 'notInRoom',
+  ROOM_REQUIRED: 'roomRequired',
+  // Roles and admin actions
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'notFound',
+  NOT_A_CAMERA: 'notACamera',
+  NOT_A_VIEWER: 'notAViewer',
+  // Streams and relayed messages
+  TOO_MANY_VIEWERS: 'tooManyViewers',
+  NO_STREAM_SESSION: 'noStreamSession',
+  TARGET_NOT_FOUND: 'targetNotFound',
+  NOT_IN_SAME_ROOM: 'notInSameRoom'
+};
+
+const id = { type: 'string', maxLength: MAX_ID_LENGTH };
+const requestId = { type: 'string', maxLength: MAX_ID_LENGTH };
+
+// Fields accepted by each inbound message type
+const schemas = {
+  join: {
+    room: id,
+    deviceType: { type: 'string', values: ['camera', 'viewer'] },
+    cameraId: id,
+    cameraKey: { type: 'string', maxLength: 256 },
+    secret: { type: 'string', maxLength: 256 },
+    metadata: { type: 'object', maxSize: MAX_METADATA_SIZE },
+    keepRooms: { type: 'boolean' },
+    requestId
+  },
+  offer: {
+    target: { ...id, required: true },
+    sdp: { type: 'object', required: true, maxSize: MAX_SDP_SIZE },
+    requestId
+  },
+  answer: {
+    target: { ...id, required: true },
+    sdp: { type: 'object', required: true, maxSize: MAX_SDP_SIZE },
+    requestId
+  },
+  iceCandidate: {
+    target: { ...id, required: true },
+    candidate: { type: 'object', required: true, nullable: true, maxSize: MAX_CANDIDATE_SIZE },
+    requestId
+  },
+  requestStream: {
+    cameraId: { ...id, required: true },
+    room: id,
+    requestId
+  },
+  stopStream: {
+    cameraId: { ...id, required: true },
+    room: id,
+    requestId
+  },
+  ping: {
+    timestamp: { type: 'number' },
+    requestId
+  },
+  leave: {
+    room: id,
+    requestId
+  },
+  listCameras: {
+    room: id,
+    tags: { type: 'array', maxLength: 32 },
+    name: { type: 'string', maxLength: 256 },
+    limit: { type: 'number' },
+    cursor: id,
+    requestId
+  },
+  updateCamera: {
+    metadata: { type: 'object', required: true, maxSize: MAX_METADATA_SIZE },
+    requestId
+  },
+  streamStats: {
+    reports: {
+      type: 'array',
+      required: true,
+      maxLength: MAX_STATS_REPORTS,
+      items: {
+        cameraId: { ...id, required: true },
+        room: id,
+        stats: { type: 'object', required: true, maxSize: MAX_STATS_SIZE }
+      }
+    },
+    requestId
+  },
+  // Admin-only messages
+  kickClient: {
+    clientId: { ...id, required: true },
+    reason: { type: 'string', maxLength: 256 },
+    requestId
+  },
+  evictCamera: {
+    room: { ...id, required: true },
+    cameraId: { ...id, required: true },
+    reason: { type: 'string', maxLength: 256 },
+    requestId
+  },
+  closeRoom: {
+    room: { ...id, required: true },
+    reason: { type: 'string', maxLength: 256 },
+    requestId
+  }
+};
+
+/**
+ * Check a single field against its rule
+ * @private
+ * @param {string} name - Field name
+ * @param {*} value - Field value
+ * @param {Object} rule - Field rule
+ * @returns {Object|null} Validation failure `{ code, message }`, or null if valid
+ */
+function validateField(name, value, rule) {
+  if (value === undefined) {
+    return rule.required
+      ? { code: ErrorCodes.MISSING_FIELD, message: `Missing required field '${name}'` }
+      : null;
+  }
+
+  if (value === null) {
+    return rule.nullable
+      ? null
+      : { code: ErrorCodes.INVALID_FIELD, message: `Field '${name}' must not be null` };
+  }
+
+  const actualType = Array.isArray(value) ? 'array' : typeof value;
+  if (actualType !== rule.type) {
+    return { code: ErrorCodes.INVALID_FIELD, message: `Field '${name}' must be of type ${rule.type}` };
+  }
+
+  if (rule.values && !rule.values.includes(value)) {
+    return { code: ErrorCodes.INVALID_FIELD, message: `Field '${name}' must be one of: ${rule.values.join(', ')}` };
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    const unit = Array.isArray(value) ? 'entries' : 'characters';
+    return { code: ErrorCodes.FIELD_TOO_LARGE, message: `Field '${name}' exceeds ${rule.maxLength} ${unit}` };
+  }
+
+  if (rule.maxSize !== undefined && JSON.stringify(value).length > rule.maxSize) {
+    return { code: ErrorCodes.FIELD_TOO_LARGE, message: `Field '${name}' exceeds the size limit of ${rule.maxSize}` };
+  }
+
+  if (rule.items) {
+    for (let i = 0; i < value.length; i++) {
+      const entry = value[i];
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { code: ErrorCodes.INVALID_FIELD, message: `Field '${name}[${i}]' must be an object` };
+      }
+      const failure = validateFields(entry, rule.items, `${name}[${i}].`);
+      if (failure) {
+        return failure;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check an object's fields against a set of field rules
+ * @private
+ * @param {Object} object - Object to check
+ * @param {Object} rules - Field rules by field name
+ * @param {string} [prefix=''] - Prepended to field names in failure messages
+ * @returns {Object|null} First validation failure `{ code, message }`, or null if valid
+ */
+function validateFields(object, rules, prefix = '') {
+  for (const name of Object.keys(rules)) {
+    const failure = validateField(prefix + name, object[name], rules[name]);
+    if (failure) {
+      return failure;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate an inbound signaling message against its schema
+ * @param {*} message - Parsed message
+ * @returns {Object|null} Validation failure `{ code, message }`, or null if valid
+ */
+function validateMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { code: ErrorCodes.INVALID_MESSAGE, message: 'Message must be a JSON object' };
+  }
+
+  if (typeof message.type !== 'string') {
+    return { code: ErrorCodes.INVALID_MESSAGE, message: "Message is missing a 'type'" };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(schemas, message.type)) {
+    return { code: ErrorCodes.UNKNOWN_TYPE, message: `Unknown message type '${message.type}'` };
+  }
+
+  return validateFields(message, schemas[message.type]);
+}
+
+module.exports = {
+  ErrorCodes,
+  schemas,
+  validateMessage
+};
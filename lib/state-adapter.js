@@ -0,0 +1,786 @@
+/**
+ * Signaling State Adapters
+ *
+ * Room membership, the camera registry, standby cameras, stream sessions and
+ * message routing live behind an adapter so several signaling server
+ * instances can share them.
+ *
+ * - MemoryAdapter keeps everything in process, for a single instance.
+ * - PubSubAdapter replicates state and routes messages between instances
+ *   through a publish/subscribe broker.
+ *
+ * Reads are served synchronously from the local copy of the state. Writes are
+ * applied locally at once and, with PubSubAdapter, published to the other
+ * instances, so their view of the state is eventually consistent.
+ *
+ * A broker implements:
+ *   publish(channel, payload)       - payload is a string
+ *   subscribe(channel, handler)     - handler(payload) for each published payload
+ *   unsubscribe(channel, handler)
+ * Each may return a promise. InProcessBroker connects instances within one
+ * process (useful for tests); RedisBroker wraps a pair of ioredis clients.
+ *
+ * Broker failures and unreadable payloads are reported with a 'brokerError'
+ * event rather than 'error', so a broker hiccup never throws out of the
+ * fire-and-forget publish path.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * In-process state adapter for a single server instance
+ * @extends EventEmitter
+ */
+class MemoryAdapter extends EventEmitter {
+  /**
+   * Create a new in-memory adapter
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.instanceId] - Unique ID of this server instance
+   */
+  constructor(options = {}) {
+    super();
+
+    this.instanceId = options.instanceId || crypto.randomBytes(8).toString('hex');
+
+    // clientId -> { rooms, deviceType, cameraId, instanceId, ... }
+    this.members = new Map();
+    // room -> Map(cameraId -> clientId)
+    this.cameras = new Map();
+    // room -> Map(cameraId -> camera metadata)
+    this.cameraMetadata = new Map();
+    // room -> Map(cameraId -> [{ clientId, metadata }, ...]) in promotion order
+    this.standbyCameras = new Map();
+    // session key -> stream session
+    this.streamSessions = new Map();
+
+    this._deliver = () => false;
+  }
+
+  /**
+   * Start the adapter
+   * @param {function(string, Object): boolean} deliver - Delivers a message to a client connected to this instance
+   * @returns {Promise<void>}
+   */
+  async start(deliver) {
+    this._deliver = deliver;
+  }
+
+  /**
+   * Stop the adapter
+   * @returns {Promise<void>}
+   */
+  async stop() {}
+
+  /**
+   * Add or update a client's membership record
+   * @param {string} clientId - Client ID
+   * @param {Object} info - Membership details (rooms, deviceType, cameraId, ...)
+   */
+  setClient(clientId, info) {
+    this._apply({ op: 'setClient', clientId, info: { ...info, instanceId: this.instanceId } });
+  }
+
+  /**
+   * Remove a client's membership record
+   * @param {string} clientId - Client ID
+   */
+  removeClient(clientId) {
+    this._apply({ op: 'removeClient', clientId });
+  }
+
+  /**
+   * Get a client's membership record
+   * @param {string} clientId - Client ID
+   * @returns {Object|undefined} Membership details
+   */
+  getClient(clientId) {
+    return this.members.get(clientId);
+  }
+
+  /**
+   * Check whether a client is connected to any instance
+   * @param {string} clientId - Client ID
+   * @returns {boolean} True if the client is known
+   */
+  hasClient(clientId) {
+    return this.members.has(clientId);
+  }
+
+  /**
+   * Get every connected client
+   * @returns {Array<Object>} Membership records with their clientId
+   */
+  getClients() {
+    return Array.from(this.members, ([clientId, info]) => ({ clientId, ...info }));
+  }
+
+  /**
+   * Get the members of a room
+   * @param {string} room - Room name
+   * @returns {Array<Object>} Membership records with their clientId
+   */
+  getClientsInRoom(room) {
+    const roomClients = [];
+    this.members.forEach((info, clientId) => {
+      if (info.rooms.includes(room)) {
+        roomClients.push({ clientId, ...info });
+      }
+    });
+    return roomClients;
+  }
+
+  /**
+   * Get the names of all rooms with at least one member
+   * @returns {Array<string>} Room names
+   */
+  getRooms() {
+    const rooms = new Set();
+    this.members.forEach(info => {
+      info.rooms.forEach(room => rooms.add(room));
+    });
+    return Array.from(rooms);
+  }
+
+  /**
+   * Get the cameras registered in a room
+   * @param {string} room - Room name
+   * @returns {Map<string, string>} Camera IDs mapped to client IDs (do not modify)
+   */
+  getCameras(room) {
+    return this.cameras.get(room) || new Map();
+  }
+
+  /**
+   * Get the client registered for a camera ID
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera ID
+   * @returns {string|undefined} Camera client ID
+   */
+  getCamera(room, cameraId) {
+    return this.getCameras(room).get(cameraId);
+  }
+
+  /**
+   * Get the metadata a camera registered with
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera ID
+   * @returns {Object} Camera metadata (empty if none was given)
+   */
+  getCameraMetadata(room, cameraId) {
+    const roomMetadata = this.cameraMetadata.get(room);
+    return (roomMetadata && roomMetadata.get(cameraId)) || {};
+  }
+
+  /**
+   * Register a camera
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera ID
+   * @param {string} clientId - Camera client ID
+   * @param {Object} [metadata] - Camera metadata
+   */
+  setCamera(room, cameraId, clientId, metadata = {}) {
+    this._apply({ op: 'setCamera', room, cameraId, clientId, metadata });
+  }
+
+  /**
+   * Replace a registered camera's metadata
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera ID
+   * @param {Object} metadata - Camera metadata
+   */
+  setCameraMetadata(room, cameraId, metadata) {
+    this._apply({ op: 'setCameraMetadata', room, cameraId, metadata });
+  }
+
+  /**
+   * Unregister a camera
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera ID
+   */
+  deleteCamera(room, cameraId) {
+    this._apply({ op: 'deleteCamera', room, cameraId });
+  }
+
+  /**
+   * Get the standby cameras queued for a camera ID
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera ID
+   * @returns {Array<Object>} `{ clientId, metadata }` entries in promotion order (do not modify)
+   */
+  getStandbyCameras(room, cameraId) {
+    const roomStandby = this.standbyCameras.get(room);
+    return (roomStandby && roomStandby.get(cameraId)) || [];
+  }
+
+  /**
+   * Queue a standby camera, or update the metadata of one already queued
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera ID
+   * @param {string} clientId - Standby camera client ID
+   * @param {Object} [metadata] - Metadata to register with on promotion
+   */
+  setStandbyCamera(room, cameraId, clientId, metadata = {}) {
+    this._apply({ op: 'setStandbyCamera', room, cameraId, clientId, metadata });
+  }
+
+  /**
+   * Remove a standby camera from its queue
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera ID
+   * @param {string} clientId - Standby camera client ID
+   */
+  removeStandbyCamera(room, cameraId, clientId) {
+    this._apply({ op: 'removeStandbyCamera', room, cameraId, clientId });
+  }
+
+  /**
+   * Get a stream session
+   * @param {string} key - Session key
+   * @returns {Object|undefined} Stream session
+   */
+  getStreamSession(key) {
+    return this.streamSessions.get(key);
+  }
+
+  /**
+   * Get all stream sessions
+   * @returns {Map<string, Object>} Stream sessions by key (do not modify)
+   */
+  getStreamSessions() {
+    return this.streamSessions;
+  }
+
+  /**
+   * Add or replace a stream session
+   * @param {string} key - Session key
+   * @param {Object} session - Stream session
+   */
+  setStreamSession(key, session) {
+    this._apply({ op: 'setStreamSession', key, session });
+  }
+
+  /**
+   * Remove a stream session
+   * @param {string} key - Session key
+   */
+  deleteStreamSession(key) {
+    this._apply({ op: 'deleteStreamSession', key });
+  }
+
+  /**
+   * Send a message to a client on whichever instance it is connected to
+   * @param {string} clientId - Target client ID
+   * @param {Object} message - Message to send
+   * @returns {boolean} True if the message was delivered or routed
+   */
+  sendToClient(clientId, message) {
+    const info = this.members.get(clientId);
+    if (!info) {
+      return false;
+    }
+    if (info.instanceId === this.instanceId) {
+      return this._deliver(clientId, message);
+    }
+    return this._route(info.instanceId, clientId, message);
+  }
+
+  /**
+   * Send a message to every member of a room on every instance
+   * @param {string} room - Room name
+   * @param {Object} message - Message to send
+   * @param {string} [excludeClientId] - Client to leave out, usually the sender
+   */
+  broadcastToRoom(room, message, excludeClientId) {
+    this._deliverToRoom(room, message, excludeClientId);
+  }
+
+  /**
+   * Deliver a message to the members of a room connected to this instance
+   * @protected
+   * @param {string} room - Room name
+   * @param {Object} message - Message to send
+   * @param {string} [excludeClientId] - Client to leave out
+   */
+  _deliverToRoom(room, message, excludeClientId) {
+    this.members.forEach((info, clientId) => {
+      if (info.rooms.includes(room) && info.instanceId === this.instanceId && clientId !== excludeClientId) {
+        this._deliver(clientId, message);
+      }
+    });
+  }
+
+  /**
+   * Route a message to a client on another instance
+   * @protected
+   * @returns {boolean} False; a single instance has nowhere to route to
+   */
+  _route() {
+    return false;
+  }
+
+  /**
+   * Apply a state change made by this instance
+   * @protected
+   * @param {Object} mutation - State change
+   */
+  _apply(mutation) {
+    this._applyMutation(mutation);
+  }
+
+  /**
+   * Set a value in a room -> Map(cameraId -> value) store
+   * @private
+   * @param {Map} store - Store to update
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera ID
+   * @param {*} value - Value to set
+   */
+  _setRoomValue(store, room, cameraId, value) {
+    if (!store.has(room)) {
+      store.set(room, new Map());
+    }
+    store.get(room).set(cameraId, value);
+  }
+
+  /**
+   * Apply a state change to the local copy of the state
+   * @protected
+   * @param {Object} mutation - State change
+   */
+  _applyMutation(mutation) {
+    switch (mutation.op) {
+      case 'setClient':
+        this.members.set(mutation.clientId, mutation.info);
+        break;
+
+      case 'removeClient':
+        this.members.delete(mutation.clientId);
+        break;
+
+      case 'setCamera':
+        this._setRoomValue(this.cameras, mutation.room, mutation.cameraId, mutation.clientId);
+        this._setRoomValue(this.cameraMetadata, mutation.room, mutation.cameraId, mutation.metadata || {});
+        break;
+
+      case 'setCameraMetadata':
+        if (this.getCamera(mutation.room, mutation.cameraId)) {
+          this._setRoomValue(this.cameraMetadata, mutation.room, mutation.cameraId, mutation.metadata);
+        }
+        break;
+
+      case 'deleteCamera':
+        if (this.cameras.has(mutation.room)) {
+          const roomCameras = this.cameras.get(mutation.room);
+          roomCameras.delete(mutation.cameraId);
+          if (roomCameras.size === 0) {
+            this.cameras.delete(mutation.room);
+          }
+        }
+        if (this.cameraMetadata.has(mutation.room)) {
+          const roomMetadata = this.cameraMetadata.get(mutation.room);
+          roomMetadata.delete(mutation.cameraId);
+          if (roomMetadata.size === 0) {
+            this.cameraMetadata.delete(mutation.room);
+          }
+        }
+        break;
+
+      case 'setStandbyCamera': {
+        const standby = this.getStandbyCameras(mutation.room, mutation.cameraId).slice();
+        const entry = { clientId: mutation.clientId, metadata: mutation.metadata || {} };
+        const index = standby.findIndex(queued => queued.clientId === mutation.clientId);
+        if (index === -1) {
+          standby.push(entry);
+        } else {
+          standby[index] = entry;
+        }
+        this._setRoomValue(this.standbyCameras, mutation.room, mutation.cameraId, standby);
+        break;
+      }
+
+      case 'removeStandbyCamera': {
+        const roomStandby = this.standbyCameras.get(mutation.room);
+        const standby = this.getStandbyCameras(mutation.room, mutation.cameraId)
+          .filter(queued => queued.clientId !== mutation.clientId);
+        if (standby.length > 0) {
+          roomStandby.set(mutation.cameraId, standby);
+        } else if (roomStandby) {
+          roomStandby.delete(mutation.cameraId);
+          if (roomStandby.size === 0) {
+            this.standbyCameras.delete(mutation.room);
+          }
+        }
+        break;
+      }
+
+      case 'setStreamSession':
+        this.streamSessions.set(mutation.key, mutation.session);
+        break;
+
+      case 'deleteStreamSession':
+        this.streamSessions.delete(mutation.key);
+        break;
+    }
+  }
+}
+
+/**
+ * State adapter that shares state and routes messages between server
+ * instances through a publish/subscribe broker
+ * @extends MemoryAdapter
+ */
+class PubSubAdapter extends MemoryAdapter {
+  /**
+   * Create a new pub/sub adapter
+   * @param {Object} options - Adapter options
+   * @param {Object} options.broker - Publish/subscribe broker
+   * @param {string} [options.channel='nikolaindustry-webrtc'] - Channel shared by all instances
+   * @param {number} [options.heartbeatInterval=5000] - Interval in ms for instance heartbeats
+   * @param {number} [options.instanceTimeout=15000] - Silence in ms after which an instance is considered lost
+   * @param {string} [options.instanceId] - Unique ID of this server instance
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.broker) {
+      throw new Error('PubSubAdapter requires a broker');
+    }
+
+    this.broker = options.broker;
+    this.channel = options.channel || 'nikolaindustry-webrtc';
+    this.heartbeatInterval = options.heartbeatInterval || 5000;
+    this.instanceTimeout = options.instanceTimeout || 15000;
+
+    // instanceId -> time the instance was last heard from
+    this.instances = new Map();
+    this._heartbeatTimer = null;
+    this._handleEvent = this._handleEvent.bind(this);
+  }
+
+  /**
+   * Subscribe to the shared channel and request the current state
+   * @param {function(string, Object): boolean} deliver - Delivers a message to a local client
+   * @returns {Promise<void>}
+   */
+  async start(deliver) {
+    await super.start(deliver);
+    await this.broker.subscribe(this.channel, this._handleEvent);
+
+    this._heartbeatTimer = setInterval(() => {
+      this._publish({ op: 'heartbeat' });
+      this._checkInstances();
+    }, this.heartbeatInterval);
+
+    // Ask the other instances to publish the state they own
+    this._publish({ op: 'syncRequest' });
+  }
+
+  /**
+   * Stop heartbeats and unsubscribe from the shared channel
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this._heartbeatTimer) {
+      clearInterval(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
+    await this.broker.unsubscribe(this.channel, this._handleEvent);
+  }
+
+  /**
+   * Send a message to every member of a room on every instance
+   * @param {string} room - Room name
+   * @param {Object} message - Message to send
+   * @param {string} [excludeClientId] - Client to leave out, usually the sender
+   */
+  broadcastToRoom(room, message, excludeClientId) {
+    super.broadcastToRoom(room, message, excludeClientId);
+    this._publish({ op: 'broadcast', room, message, excludeClientId });
+  }
+
+  /**
+   * Route a message to a client on another instance
+   * @protected
+   * @param {string} instanceId - Instance the client is connected to
+   * @param {string} clientId - Target client ID
+   * @param {Object} message - Message to send
+   * @returns {boolean} True; delivery happens on the other instance
+   */
+  _route(instanceId, clientId, message) {
+    this._publish({ op: 'send', to: instanceId, clientId, message });
+    return true;
+  }
+
+  /**
+   * Apply a state change locally and publish it to the other instances
+   * @protected
+   * @param {Object} mutation - State change
+   */
+  _apply(mutation) {
+    super._apply(mutation);
+    this._publish(mutation);
+  }
+
+  /**
+   * Publish an event on the shared channel
+   * @private
+   * @param {Object} event - Event to publish
+   */
+  _publish(event) {
+    const payload = JSON.stringify({ ...event, from: this.instanceId });
+    Promise.resolve()
+      .then(() => this.broker.publish(this.channel, payload))
+      .catch(error => this.emit('brokerError', error));
+  }
+
+  /**
+   * Handle an event published by another instance
+   * @private
+   * @param {string} payload - Serialized event
+   */
+  _handleEvent(payload) {
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      this.emit('brokerError', error);
+      return;
+    }
+
+    if (event.from === this.instanceId) {
+      return;
+    }
+    this.instances.set(event.from, Date.now());
+
+    switch (event.op) {
+      case 'send':
+        if (event.to === this.instanceId) {
+          this._deliver(event.clientId, event.message);
+        }
+        break;
+
+      case 'broadcast':
+        this._deliverToRoom(event.room, event.message, event.excludeClientId);
+        break;
+
+      case 'heartbeat':
+        break;
+
+      case 'syncRequest':
+        this._publishOwnedState();
+        break;
+
+      default:
+        this._applyMutation(event);
+    }
+  }
+
+  /**
+   * Publish the members, cameras, standby cameras and stream sessions owned
+   * by this instance
+   * @private
+   */
+  _publishOwnedState() {
+    this.members.forEach((info, clientId) => {
+      if (info.instanceId === this.instanceId) {
+        this._publish({ op: 'setClient', clientId, info });
+      }
+    });
+
+    this.cameras.forEach((roomCameras, room) => {
+      roomCameras.forEach((clientId, cameraId) => {
+        if (this._isLocal(clientId)) {
+          this._publish({ op: 'setCamera', room, cameraId, clientId, metadata: this.getCameraMetadata(room, cameraId) });
+        }
+      });
+    });
+
+    this.standbyCameras.forEach((roomStandby, room) => {
+      roomStandby.forEach((standby, cameraId) => {
+        standby.forEach(({ clientId, metadata }) => {
+          if (this._isLocal(clientId)) {
+            this._publish({ op: 'setStandbyCamera', room, cameraId, clientId, metadata });
+          }
+        });
+      });
+    });
+
+    this.streamSessions.forEach((session, key) => {
+      if (this._isLocal(session.viewerId) || this._isLocal(session.cameraClientId)) {
+        this._publish({ op: 'setStreamSession', key, session });
+      }
+    });
+  }
+
+  /**
+   * Check whether a client is connected to this instance
+   * @private
+   * @param {string} clientId - Client ID
+   * @returns {boolean} True if the client is local
+   */
+  _isLocal(clientId) {
+    const info = this.members.get(clientId);
+    return Boolean(info) && info.instanceId === this.instanceId;
+  }
+
+  /**
+   * Drop the state of instances that have stopped sending heartbeats
+   * @private
+   */
+  _checkInstances() {
+    const now = Date.now();
+    this.instances.forEach((lastSeen, instanceId) => {
+      if (now - lastSeen > this.instanceTimeout) {
+        this.instances.delete(instanceId);
+        this._purgeInstance(instanceId);
+      }
+    });
+  }
+
+  /**
+   * Remove every member, camera, standby camera and stream session of a lost
+   * instance and emit 'instanceLost' so the server can notify its own clients
+   * @private
+   * @param {string} instanceId - Lost instance ID
+   */
+  _purgeInstance(instanceId) {
+    const lostClients = [];
+    this.members.forEach((info, clientId) => {
+      if (info.instanceId === instanceId) {
+        lostClients.push({ clientId, ...info });
+      }
+    });
+    lostClients.forEach(client => this.members.delete(client.clientId));
+    const lostIds = lostClients.map(client => client.clientId);
+
+    const lostCameras = [];
+    this.cameras.forEach((roomCameras, room) => {
+      roomCameras.forEach((clientId, cameraId) => {
+        if (lostIds.includes(clientId)) {
+          lostCameras.push({ room, cameraId, clientId });
+        }
+      });
+    });
+    lostCameras.forEach(camera => this._applyMutation({ op: 'deleteCamera', ...camera }));
+
+    const lostStandby = [];
+    this.standbyCameras.forEach((roomStandby, room) => {
+      roomStandby.forEach((standby, cameraId) => {
+        standby.forEach(({ clientId }) => {
+          if (lostIds.includes(clientId)) {
+            lostStandby.push({ room, cameraId, clientId });
+          }
+        });
+      });
+    });
+    lostStandby.forEach(entry => this._applyMutation({ op: 'removeStandbyCamera', ...entry }));
+
+    this.streamSessions.forEach((session, key) => {
+      if (lostIds.includes(session.viewerId) || lostIds.includes(session.cameraClientId)) {
+        this.streamSessions.delete(key);
+      }
+    });
+
+    this.emit('instanceLost', instanceId, { clients: lostClients, cameras: lostCameras });
+  }
+}
+
+/**
+ * Broker connecting adapters within a single process. Payloads are delivered
+ * asynchronously and in order, as a network broker would.
+ */
+class InProcessBroker {
+  constructor() {
+    this.subscribers = new Map();
+  }
+
+  /**
+   * Publish a payload to every subscriber of a channel
+   * @param {string} channel - Channel name
+   * @param {string} payload - Serialized message
+   */
+  publish(channel, payload) {
+    const handlers = Array.from(this.subscribers.get(channel) || []);
+    setImmediate(() => handlers.forEach(handler => handler(payload)));
+  }
+
+  /**
+   * Subscribe to a channel
+   * @param {string} channel - Channel name
+   * @param {function(string)} handler - Called with each published payload
+   */
+  subscribe(channel, handler) {
+    if (!this.subscribers.has(channel)) {
+      this.subscribers.set(channel, new Set());
+    }
+    this.subscribers.get(channel).add(handler);
+  }
+
+  /**
+   * Unsubscribe from a channel
+   * @param {string} channel - Channel name
+   * @param {function(string)} handler - Handler passed to subscribe()
+   */
+  unsubscribe(channel, handler) {
+    if (this.subscribers.has(channel)) {
+      this.subscribers.get(channel).delete(handler);
+    }
+  }
+}
+
+/**
+ * Broker backed by Redis publish/subscribe, using two ioredis clients (a
+ * subscribed client cannot publish)
+ */
+class RedisBroker {
+  /**
+   * Create a new Redis broker
+   * @param {Object} options - Broker options
+   * @param {Object} options.publisher - ioredis client used to publish
+   * @param {Object} options.subscriber - ioredis client used to subscribe
+   */
+  constructor(options = {}) {
+    this.publisher = options.publisher;
+    this.subscriber = options.subscriber;
+    this.handlers = new Map();
+
+    this.subscriber.on('message', (channel, payload) => {
+      (this.handlers.get(channel) || []).forEach(handler => handler(payload));
+    });
+  }
+
+  publish(channel, payload) {
+    return this.publisher.publish(channel, payload);
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+      await this.subscriber.subscribe(channel);
+    }
+    this.handlers.get(channel).add(handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    const handlers = this.handlers.get(channel);
+    if (!handlers) {
+      return;
+    }
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.handlers.delete(channel);
+      await this.subscriber.unsubscribe(channel);
+    }
+  }
+}
+
+module.exports = {
+  MemoryAdapter,
+  PubSubAdapter,
+  InProcessBroker,
+  RedisBroker
+};
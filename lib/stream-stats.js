@@ -0,0 +1,127 @@
+/**
+ * Stream Statistics
+ *
+ * Viewers may report the statistics of each stream they watch:
+ *
+ *   {
+ *     "timestamp": 1700000000000,
+ *     "bitrate": 1850000,
+ *     "framesPerSecond": 29.8,
+ *     "resolution": { "width": 1280, "height": 720 },
+ *     "packetsLost": 12,
+ *     "packetLoss": 0.002,
+ *     "jitter": 4.1,
+ *     "roundTripTime": 38,
+ *     "candidateType": { "local": "srflx", "remote": "host" }
+ *   }
+ *
+ * Bitrates are in bits per second and times in milliseconds. Every field may
+ * be null when the viewer could not measure it. Unknown fields are dropped.
+ * The latest report of each stream is summarized per camera, so operators
+ * can tell a struggling camera from a struggling viewer.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+const { ErrorCodes } = require('./signaling-schema');
+
+const NUMERIC_FIELDS = ['timestamp', 'bitrate', 'framesPerSecond', 'packetsLost', 'packetLoss', 'jitter', 'roundTripTime'];
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+
+// Fields averaged across a camera's viewers
+const AVERAGED_FIELDS = ['bitrate', 'framesPerSecond', 'packetLoss', 'jitter', 'roundTripTime'];
+
+/**
+ * Build a validation failure
+ * @private
+ * @param {string} field - Stats field name
+ * @param {string} expected - Description of the expected value
+ * @returns {Object} Validation failure `{ code, message }`
+ */
+function invalid(field, expected) {
+  return { code: ErrorCodes.INVALID_FIELD, message: `Stream stats field '${field}' must be ${expected}` };
+}
+
+const isCount = value => Number.isInteger(value) && value > 0 && value <= 100000;
+
+/**
+ * Validate a stream statistics report and strip unknown fields
+ * @param {Object} input - Report sent by a viewer
+ * @returns {Object} `{ stats }` with the normalized report, or `{ error }`
+ *   with a validation failure `{ code, message }`
+ */
+function normalizeStreamStats(input) {
+  const stats = {};
+
+  for (const field of NUMERIC_FIELDS) {
+    const value = input[field];
+    if (value === undefined || value === null) {
+      stats[field] = null;
+    } else if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+      return { error: invalid(field, 'a non-negative number or null') };
+    } else {
+      stats[field] = value;
+    }
+  }
+  if (stats.packetLoss !== null && stats.packetLoss > 1) {
+    return { error: invalid('packetLoss', 'a fraction between 0 and 1') };
+  }
+
+  stats.resolution = null;
+  if (input.resolution !== undefined && input.resolution !== null) {
+    const { width, height } = input.resolution;
+    if (!isCount(width) || !isCount(height)) {
+      return { error: invalid('resolution', 'an object with a positive width and height') };
+    }
+    stats.resolution = { width, height };
+  }
+
+  stats.candidateType = null;
+  if (input.candidateType !== undefined && input.candidateType !== null) {
+    if (typeof input.candidateType !== 'object' || Array.isArray(input.candidateType)) {
+      return { error: invalid('candidateType', 'an object') };
+    }
+    const candidateType = {};
+    for (const side of ['local', 'remote']) {
+      const value = input.candidateType[side];
+      if (value !== undefined && value !== null && !CANDIDATE_TYPES.includes(value)) {
+        return { error: invalid(`candidateType.${side}`, `one of: ${CANDIDATE_TYPES.join(', ')}`) };
+      }
+      candidateType[side] = value || null;
+    }
+    stats.candidateType = candidateType;
+  }
+
+  return { stats };
+}
+
+/**
+ * Summarize the latest reports of a camera's streams
+ * @param {Array<Object>} reports - Normalized reports, one per viewer
+ * @returns {Object} The number of `reporting` viewers, the average of each
+ *   of bitrate, framesPerSecond, packetLoss, jitter and roundTripTime over
+ *   the viewers that measured it (null if none did), the highest packetLoss
+ *   as `maxPacketLoss`, and `relayed`, the number of viewers connected
+ *   through a TURN relay
+ */
+function summarizeStreamStats(reports) {
+  const summary = { reporting: reports.length };
+
+  for (const field of AVERAGED_FIELDS) {
+    const values = reports.map(stats => stats[field]).filter(value => value !== null);
+    summary[field] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  }
+
+  const losses = reports.map(stats => stats.packetLoss).filter(value => value !== null);
+  summary.maxPacketLoss = losses.length > 0 ? Math.max(...losses) : null;
+  summary.relayed = reports.filter(stats => stats.candidateType &&
+    (stats.candidateType.local === 'relay' || stats.candidateType.remote === 'relay')).length;
+
+  return summary;
+}
+
+module.exports = {
+  normalizeStreamStats,
+  summarizeStreamStats
+};
@@ -17,37 +17,375 @@
 const isBrowser = typeof window !== 'undefined' && typeof window.document !== 'undefined';
 const isNode = typeof process !== 'undefined' && process.versions && process.versions.node;
 
+// ICE candidates held per peer while its remote description is not set
+const MAX_PENDING_CANDIDATES = 100;
+
+// Time in ms requestStream waits for a stream by default
+const DEFAULT_STREAM_TIMEOUT = 30000;
+
+// Interval in ms of stats readings when viewers report stats without setting one
+const DEFAULT_STATS_REPORT_INTERVAL = 5000;
+
+// Shortest interval in ms at which viewers report stats, matching the
+// server's streamStats rate limit of one message per second
+const MIN_STATS_REPORT_INTERVAL = 1000;
+
+// Most stream reports the server accepts in one streamStats message
+const MAX_STATS_REPORTS = 100;
+
+// Logger used when none is injected
+const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {}
+};
+
 // Import required modules based on environment
-let WebSocket, EventEmitter;
+let WebSocket;
 if (isNode) {
   WebSocket = require('ws');
-  EventEmitter = require('events');
 } else {
-  // In browser, WebSocket and EventEmitter are available through window or native implementations
+  // In browser, WebSocket is available through window
   WebSocket = window.WebSocket;
-  // Simple EventEmitter implementation for browser
-  EventEmitter = class extends EventTarget {
-    constructor() {
-      super();
+}
+
+/**
+ * Event emitter with the same semantics in browsers and Node.js, following
+ * Node's `events`: listeners run synchronously in the order they were added,
+ * `once` listeners can be removed with the function that was passed in,
+ * emitting `error` with no listener throws the error, and adding or removing
+ * a listener emits `newListener` or `removeListener`. It is not Node's
+ * EventEmitter, so `instanceof` checks must use the exported class.
+ */
+class EventEmitter {
+  constructor() {
+    // event -> Array of { listener, once }
+    this._listeners = new Map();
+    this._maxListeners = EventEmitter.defaultMaxListeners;
+    // Events already warned about for exceeding the listener limit
+    this._warnedEvents = new Set();
+  }
+  
+  /**
+   * Add a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event's arguments
+   * @returns {EventEmitter} This emitter
+   */
+  on(event, listener) {
+    return this._addListener(event, listener, false, false);
+  }
+  
+  /**
+   * Add a listener that is removed after its first call
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event's arguments
+   * @returns {EventEmitter} This emitter
+   */
+  once(event, listener) {
+    return this._addListener(event, listener, true, false);
+  }
+  
+  /**
+   * Add a listener that runs before the listeners already added
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event's arguments
+   * @returns {EventEmitter} This emitter
+   */
+  prependListener(event, listener) {
+    return this._addListener(event, listener, false, true);
+  }
+  
+  /**
+   * Add a listener that runs before the listeners already added and is
+   * removed after its first call
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event's arguments
+   * @returns {EventEmitter} This emitter
+   */
+  prependOnceListener(event, listener) {
+    return this._addListener(event, listener, true, true);
+  }
+  
+  /**
+   * Remove the most recently added registration of a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on() or once()
+   * @returns {EventEmitter} This emitter
+   */
+  off(event, listener) {
+    const entries = this._listeners.get(event);
+    if (!entries) {
+      return this;
+    }
+    
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].listener === listener) {
+        this._removeEntry(event, entries[i]);
+        break;
+      }
+    }
+    return this;
+  }
+  
+  /**
+   * Remove every listener for an event, or for all events. Each removal emits
+   * `removeListener`, whose own listeners are removed last.
+   * @param {string} [event] - Event name
+   * @returns {EventEmitter} This emitter
+   */
+  removeAllListeners(event) {
+    if (event !== undefined) {
+      const entries = this._listeners.get(event);
+      if (entries) {
+        entries.slice().reverse().forEach(entry => this._removeEntry(event, entry));
+      }
+      return this;
     }
     
-    emit(event, ...args) {
-      const customEvent = new CustomEvent(event, { detail: args });
-      this.dispatchEvent(customEvent);
+    this.eventNames()
+      .filter(name => name !== 'removeListener')
+      .forEach(name => this.removeAllListeners(name));
+    return this.removeAllListeners('removeListener');
+  }
+  
+  /**
+   * Set how many listeners an event can have before a possible leak is
+   * reported. The warning is given once per event; 0 or Infinity disables it.
+   * @param {number} count - Listener limit
+   * @returns {EventEmitter} This emitter
+   */
+  setMaxListeners(count) {
+    if (typeof count !== 'number' || count < 0 || Number.isNaN(count)) {
+      throw new RangeError('Listener limit must be a non-negative number');
+    }
+    this._maxListeners = count;
+    return this;
+  }
+  
+  /**
+   * Get the listener limit set with setMaxListeners()
+   * @returns {number} Listener limit
+   */
+  getMaxListeners() {
+    return this._maxListeners;
+  }
+  
+  /**
+   * Count the listeners for an event
+   * @param {string} event - Event name
+   * @returns {number} Number of listeners
+   */
+  listenerCount(event) {
+    const entries = this._listeners.get(event);
+    return entries ? entries.length : 0;
+  }
+  
+  /**
+   * Get the listeners for an event, in the order they are called
+   * @param {string} event - Event name
+   * @returns {Function[]} Listeners as they were passed in
+   */
+  listeners(event) {
+    const entries = this._listeners.get(event) || [];
+    return entries.map(entry => entry.listener);
+  }
+  
+  /**
+   * Get the listeners for an event, with `once` listeners wrapped as in
+   * Node: calling the wrapper removes the registration and calls the
+   * listener, which is kept on the wrapper's `listener` property
+   * @param {string} event - Event name
+   * @returns {Function[]} Listeners and once wrappers
+   */
+  rawListeners(event) {
+    const entries = this._listeners.get(event) || [];
+    return entries.map(entry => {
+      if (!entry.once) {
+        return entry.listener;
+      }
+      const wrapper = (...args) => {
+        this._removeEntry(event, entry);
+        return entry.listener.apply(this, args);
+      };
+      wrapper.listener = entry.listener;
+      return wrapper;
+    });
+  }
+  
+  /**
+   * List the events that have listeners
+   * @returns {string[]} Event names
+   */
+  eventNames() {
+    return Array.from(this._listeners.keys());
+  }
+  
+  /**
+   * Call the listeners for an event. Listeners added or removed while the
+   * event is being emitted do not change who is called.
+   * @param {string} event - Event name
+   * @param {...*} args - Arguments passed to each listener
+   * @returns {boolean} True if the event had listeners
+   * @throws {Error} The emitted error, if `error` has no listeners
+   */
+  emit(event, ...args) {
+    const entries = this._listeners.get(event);
+    if (!entries) {
+      if (event === 'error') {
+        const error = args[0];
+        throw error instanceof Error ? error : new Error(`Unhandled error: ${error}`);
+      }
+      return false;
     }
     
-    on(event, listener) {
-      this.addEventListener(event, (e) => listener(...e.detail));
+    entries.slice().forEach(entry => {
+      if (entry.once) {
+        this._removeEntry(event, entry);
+      }
+      entry.listener.apply(this, args);
+    });
+    return true;
+  }
+  
+  /**
+   * Wait for an event
+   * @param {string} event - Event name
+   * @param {Function} [predicate] - Called with the event's arguments; the
+   *   wait ends on the first emission it returns true for
+   * @param {number} [timeout=0] - Time in ms before giving up (0 waits forever)
+   * @returns {Promise<*>} The event's first argument; rejects if the timeout expires
+   */
+  waitFor(event, predicate, timeout = 0) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      
+      const listener = (...args) => {
+        if (predicate && !predicate(...args)) {
+          return;
+        }
+        clearTimeout(timer);
+        this.off(event, listener);
+        resolve(args[0]);
+      };
+      
+      this.on(event, listener);
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          this.off(event, listener);
+          reject(new Error(`Timed out after ${timeout}ms waiting for ${event}`));
+        }, timeout);
+      }
+    });
+  }
+  
+  /**
+   * Remove one registration of a listener and emit `removeListener`
+   * @private
+   * @param {string} event - Event name
+   * @param {Object} entry - Registration `{ listener, once }`
+   */
+  _removeEntry(event, entry) {
+    const entries = this._listeners.get(event);
+    const index = entries ? entries.indexOf(entry) : -1;
+    if (index === -1) {
+      return;
+    }
+    entries.splice(index, 1);
+    if (entries.length === 0) {
+      this._listeners.delete(event);
+    }
+    if (this._listeners.has('removeListener')) {
+      this.emit('removeListener', event, entry.listener);
+    }
+  }
+  
+  /**
+   * Register a listener, emitting `newListener` before it is added
+   * @private
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   * @param {boolean} once - Whether to remove it after its first call
+   * @param {boolean} prepend - Whether to call it before existing listeners
+   * @returns {EventEmitter} This emitter
+   */
+  _addListener(event, listener, once, prepend) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('Listener must be a function');
+    }
+    if (this._listeners.has('newListener')) {
+      this.emit('newListener', event, listener);
+    }
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
     }
     
-    once(event, listener) {
-      this.addEventListener(event, (e) => listener(...e.detail), { once: true });
+    const entries = this._listeners.get(event);
+    if (prepend) {
+      entries.unshift({ listener, once });
+    } else {
+      entries.push({ listener, once });
     }
     
-    removeListener(event, listener) {
-      this.removeEventListener(event, listener);
+    if (this._maxListeners > 0 && entries.length > this._maxListeners && !this._warnedEvents.has(event)) {
+      this._warnedEvents.add(event);
+      const warning = `Possible EventEmitter memory leak detected: ${entries.length} ${String(event)} listeners added. ` +
+        'Use setMaxListeners() to increase the limit';
+      if (isNode) {
+        process.emitWarning(warning, 'MaxListenersExceededWarning');
+      } else if (typeof console !== 'undefined') {
+        console.warn(warning);
+      }
     }
-  };
+    return this;
+  }
+}
+
+// Listener limit of new emitters, as in Node
+EventEmitter.defaultMaxListeners = 10;
+
+// Node-style aliases
+EventEmitter.prototype.addListener = EventEmitter.prototype.on;
+EventEmitter.prototype.removeListener = EventEmitter.prototype.off;
+
+/**
+ * Error reported by the signaling server in an `error` reply
+ * @extends Error
+ */
+class SignalingError extends Error {
+  /**
+   * Create a signaling error from a server error message
+   * @param {Object} message - Server `error` message
+   * @param {string} message.code - Machine-readable error code
+   * @param {string} [message.message] - Human readable explanation
+   * @param {string|null} [message.messageType] - Type of the message the server refused
+   * @param {string} [message.requestId] - Request ID of the refused message
+   */
+  constructor(message) {
+    super(message.message || `Signaling error: ${message.code}`);
+    this.name = 'SignalingError';
+    this.code = message.code;
+    this.messageType = message.messageType || null;
+    this.requestId = message.requestId || null;
+  }
+}
+
+/**
+ * Error rejecting a stream request that did not produce a stream
+ * @extends Error
+ */
+class StreamRequestError extends Error {
+  /**
+   * Create a stream request error
+   * @param {string} code - 'cameraNotFound', 'cameraUnavailable', 'noOffer', 'iceFailed' or 'cancelled'
+   * @param {string} message - Human readable explanation
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'StreamRequestError';
+    this.code = code;
+  }
 }
 
 /**
@@ -76,11 +414,53 @@ class WebRTCCCTVClient extends EventEmitter {
    * @param {string} options.serverUrl - WebSocket server URL
    * @param {string} [options.room='cctv'] - Default room name
    * @param {Object} [options.iceServers] - ICE servers configuration
+   * @param {string|Function} [options.token] - Auth token, or a (possibly async) function returning one
+   * @param {string} [options.tokenTransport='protocol'] - Send the token as a 'protocol' or 'query' parameter
+   * @param {string} [options.roomSecret] - Secret sent when joining rooms that require one
+   * @param {number} [options.heartbeatInterval=0] - Interval in ms for latency pings (0 disables)
+   * @param {boolean|Object} [options.reconnect=false] - Reconnect automatically when the connection drops
+   * @param {number} [options.reconnect.maxAttempts=10] - Attempts before giving up (Infinity for no limit)
+   * @param {number} [options.reconnect.initialDelay=1000] - Delay in ms before the first attempt
+   * @param {number} [options.reconnect.maxDelay=30000] - Upper bound for the backoff delay in ms
+   * @param {number} [options.reconnect.factor=2] - Backoff multiplier per attempt
+   * @param {number} [options.reconnect.jitter=0.5] - Fraction of each delay that is randomized (0-1)
+   * @param {string} [options.reconnect.offlinePolicy='reject'] - 'reject' sends while offline, or 'queue' them until reconnected
+   * @param {number} [options.reconnect.queueSize=100] - Maximum number of queued messages
+   * @param {boolean|Object} [options.recovery=true] - Recover interrupted peer connections (false disables)
+   * @param {number} [options.recovery.gracePeriod=3000] - Time in ms a disconnected peer connection gets to come back by itself
+   * @param {number} [options.recovery.restartTimeout=10000] - Time in ms an ICE restart gets before the connection is rebuilt
+   * @param {number} [options.statsInterval=0] - Interval in ms for `stats` events (0 disables)
+   * @param {Object} [options.logger] - Logger with debug/info/warn/error(message, fields) methods, e.g. console (silent by default)
    */
   constructor(options = {}) {
     super();
+    // The leak warning is off: every request in flight holds its own
+    // listeners, so a busy client legitimately has many. Applications can
+    // turn it back on with setMaxListeners(n).
+    this.setMaxListeners(0);
     
+    this.logger = options.logger || silentLogger;
     this.serverUrl = options.serverUrl || 'ws://localhost:8080';
+    this.token = options.token || null;
+    this.tokenTransport = options.tokenTransport || 'protocol';
+    this.roomSecret = options.roomSecret || null;
+    this.heartbeatInterval = options.heartbeatInterval || 0;
+    this.statsInterval = options.statsInterval || 0;
+    this.reconnectOptions = options.reconnect ? {
+      maxAttempts: 10,
+      initialDelay: 1000,
+      maxDelay: 30000,
+      factor: 2,
+      jitter: 0.5,
+      offlinePolicy: 'reject',
+      queueSize: 100,
+      ...(typeof options.reconnect === 'object' ? options.reconnect : {})
+    } : null;
+    this.recoveryOptions = options.recovery !== false ? {
+      gracePeriod: 3000,
+      restartTimeout: 10000,
+      ...(typeof options.recovery === 'object' ? options.recovery : {})
+    } : null;
     this.defaultRoom = options.room || 'cctv';
     this.iceServers = options.iceServers || [
       { urls: 'stun:stun.l.google.com:19302' },
@@ -89,9 +469,33 @@ class WebRTCCCTVClient extends EventEmitter {
     
     this.ws = null;
     this.clientId = null;
+    this.identity = null;
+    this.resumeToken = null;
+    this.sessionResumed = false;
+    // Rooms the client is in; currentRoom is the most recently joined of them
+    this.rooms = new Set();
     this.currentRoom = null;
     this.isConnected = false;
     this.isConnecting = false;
+    this.latency = null;
+    this.isReconnecting = false;
+    this._heartbeatTimer = null;
+    this._requestCounter = 0;
+    // room -> join options, replayed to rejoin the rooms after reconnecting
+    this._joins = new Map();
+    this._manualDisconnect = false;
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._offlineQueue = [];
+    // RTCPeerConnection -> recovery state of a watched peer connection
+    this._peerRecoveries = new Map();
+    // peer client ID -> ICE candidates received before they could be added
+    this._pendingCandidates = new Map();
+    // RTCPeerConnection -> perfect negotiation state
+    this._negotiations = new Map();
+    // RTCPeerConnection -> last { timestamp, bytes } reading, for bitrates
+    this._statsSamples = new Map();
+    this._statsTimer = null;
     
     // Bind event handlers
     this._handleWebSocketMessage = this._handleWebSocketMessage.bind(this);
@@ -101,48 +505,799 @@ class WebRTCCCTVClient extends EventEmitter {
   }
   
   /**
-   * Connect to the signaling server
-   * @returns {Promise<void>}
+   * Write a log entry with the client's ID and room
+   * @private
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   * @param {string} message - Message
+   * @param {Object} [fields] - Additional fields
+   */
+  _log(level, message, fields) {
+    this.logger[level](message, { clientId: this.clientId, room: this.currentRoom, ...fields });
+  }
+  
+  /**
+   * Report a failure from background work, such as renegotiation or stream
+   * recovery, that no caller is waiting on. It is emitted as `error` only if
+   * the application listens for it, since an unhandled `error` would throw
+   * out of the background task; it is always logged.
+   * @private
+   * @param {Error} error - Failure
+   * @param {string} message - Log message
+   * @param {Object} [fields] - Additional log fields
+   */
+  _reportBackgroundError(error, message, fields) {
+    this._log('error', message, { ...fields, error: error.message });
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+  
+  /**
+   * Connect to the signaling server
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    // Prevent multiple simultaneous connection attempts
+    if (this.isConnecting) {
+      throw new Error('Connection attempt already in progress');
+    }
+    
+    if (this.isConnected) {
+      return Promise.resolve();
+    }
+    
+    this.isConnecting = true;
+    this._manualDisconnect = false;
+    this._log('debug', 'Connecting to signaling server', { serverUrl: this.serverUrl });
+    
+    // Resolve the auth token before opening the socket
+    let token;
+    try {
+      token = await this._resolveToken();
+    } catch (error) {
+      this.isConnecting = false;
+      throw error;
+    }
+    
+    return new Promise((resolve, reject) => {
+      try {
+        const params = [];
+        if (token && this.tokenTransport === 'query') {
+          params.push(`token=${encodeURIComponent(token)}`);
+        }
+        // Ask the server to restore our previous session
+        if (this.resumeToken) {
+          params.push(`resume=${encodeURIComponent(this.resumeToken)}`);
+        }
+        
+        const separator = this.serverUrl.includes('?') ? '&' : '?';
+        const url = params.length > 0 ? `${this.serverUrl}${separator}${params.join('&')}` : this.serverUrl;
+        
+        if (token && this.tokenTransport !== 'query') {
+          this.ws = new WebSocket(url, ['access_token', token]);
+        } else {
+          this.ws = new WebSocket(url);
+        }
+        
+        this.ws.onopen = this._handleWebSocketOpen;
+        this.ws.onmessage = this._handleWebSocketMessage;
+        this.ws.onclose = this._handleWebSocketClose;
+        this.ws.onerror = this._handleWebSocketError;
+        
+        // Set up resolution handlers; the connection is usable once the
+        // server has welcomed us with a client ID
+        const onConnected = () => {
+          this.removeListener('error', onError);
+          resolve();
+        };
+        
+        const onError = (error) => {
+          this.removeListener('welcome', onConnected);
+          reject(error);
+        };
+        
+        this.once('welcome', onConnected);
+        this.once('error', onError);
+      } catch (error) {
+        this.isConnecting = false;
+        reject(error);
+      }
+    });
+  }
+  
+  /**
+   * Check whether a message can be sent now or queued for later
+   * @private
+   * @returns {boolean} True if _send() will accept a message
+   */
+  _canSend() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      return true;
+    }
+    return this.isReconnecting && this.reconnectOptions.offlinePolicy === 'queue';
+  }
+  
+  /**
+   * Send a message to the signaling server, queueing it while reconnecting
+   * if the offline policy allows
+   * @private
+   * @param {Object} message - Message to send
+   * @throws {Error} If the message can be neither sent nor queued
+   */
+  _send(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+      return;
+    }
+    
+    if (!this._canSend()) {
+      throw new Error('Not connected to server');
+    }
+    
+    if (this._offlineQueue.length >= this.reconnectOptions.queueSize) {
+      throw new Error('Offline message queue is full');
+    }
+    this._offlineQueue.push(message);
+  }
+  
+  /**
+   * Compute the delay before a reconnection attempt
+   * @private
+   * @param {number} attempt - Attempt number, starting at 1
+   * @returns {number} Delay in ms
+   */
+  _getReconnectDelay(attempt) {
+    const { initialDelay, maxDelay, factor, jitter } = this.reconnectOptions;
+    const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+    return Math.round(delay * (1 - jitter * Math.random()));
+  }
+  
+  /**
+   * Schedule the next reconnection attempt, or give up after maxAttempts
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this._reconnectAttempts >= this.reconnectOptions.maxAttempts) {
+      const attempts = this._reconnectAttempts;
+      this._stopReconnecting();
+      this._log('error', 'Giving up reconnecting', { attempts });
+      this.emit('reconnectFailed', { attempts });
+      return;
+    }
+    
+    this.isReconnecting = true;
+    this._reconnectAttempts += 1;
+    const attempt = this._reconnectAttempts;
+    const delay = this._getReconnectDelay(attempt);
+    
+    this._log('info', 'Reconnecting', { attempt, delay });
+    this.emit('reconnecting', { attempt, delay });
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._attemptReconnect();
+    }, delay);
+  }
+  
+  /**
+   * Reconnect, rejoin the last room and flush queued messages
+   * @private
+   */
+  async _attemptReconnect() {
+    try {
+      await this.connect();
+    } catch (error) {
+      // The socket's close handler schedules the next attempt
+      return;
+    }
+    
+    // disconnect() was called while this attempt was connecting
+    if (!this.isReconnecting) {
+      this.ws.close();
+      return;
+    }
+    
+    const attempts = this._reconnectAttempts;
+    
+    // Rejoin each room with the same options (deviceType, cameraId, ...)
+    // unless the server restored our session, rooms included
+    if (!this.sessionResumed) {
+      try {
+        for (const [room, options] of Array.from(this._joins)) {
+          await this.joinRoom(room, options);
+        }
+      } catch (error) {
+        this._log('warn', 'Could not rejoin room after reconnecting', { error: error.message });
+        this.emit('rejoinFailed', error);
+      }
+    }
+    const room = this.currentRoom;
+    
+    this.isReconnecting = false;
+    this._reconnectAttempts = 0;
+    
+    // Deliver messages queued while offline
+    const queue = this._offlineQueue;
+    this._offlineQueue = [];
+    queue.forEach(message => this._send(message));
+    
+    this.emit('reconnected', { attempts, room, rooms: Array.from(this.rooms) });
+  }
+  
+  /**
+   * Cancel reconnection and drop queued messages
+   * @private
+   */
+  _stopReconnecting() {
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    this.isReconnecting = false;
+    this._reconnectAttempts = 0;
+    this._offlineQueue = [];
+  }
+  
+  /**
+   * Generate a request ID for correlating server replies with requests
+   * @private
+   * @returns {string} Unique request ID
+   */
+  _nextRequestId() {
+    this._requestCounter += 1;
+    return `${Date.now().toString(36)}-${this._requestCounter}`;
+  }
+  
+  /**
+   * Send a request and wait for the reply event carrying its requestId
+   * @private
+   * @param {Object} message - Message to send, without a requestId
+   * @param {string} replyEvent - Event emitted for the reply message
+   * @returns {Promise<Object>} Reply message; rejects with the SignalingError
+   *   if the server refuses the request
+   */
+  _request(message, replyEvent) {
+    return new Promise((resolve, reject) => {
+      const requestId = this._nextRequestId();
+      
+      const cleanup = () => {
+        this.removeListener(replyEvent, onReply);
+        this.removeListener('signalingError', onSignalingError);
+      };
+      
+      const onReply = (reply) => {
+        if (reply.requestId === requestId) {
+          cleanup();
+          resolve(reply);
+        }
+      };
+      
+      const onSignalingError = (error) => {
+        if (error.requestId === requestId) {
+          cleanup();
+          reject(error);
+        }
+      };
+      
+      this.on(replyEvent, onReply);
+      this.on('signalingError', onSignalingError);
+      
+      try {
+        this._send({ ...message, requestId });
+      } catch (error) {
+        cleanup();
+        reject(error);
+      }
+    });
+  }
+  
+  /**
+   * Watch a peer connection and drive its recovery when it is interrupted.
+   * A `disconnected` connection gets `gracePeriod` to come back by itself, a
+   * `failed` one none; `restart` is then called to restart ICE. If the
+   * connection is still down `restartTimeout` later, or fails again, `rebuild`
+   * is called. When recovery is disabled, a failed connection is dropped.
+   * @private
+   * @param {RTCPeerConnection} peerConnection - Peer connection to watch
+   * @param {Object} handlers - Recovery callbacks
+   * @param {Function} [handlers.changed] - Called first on every state change
+   * @param {Function} handlers.interrupted - Called once when the connection goes down
+   * @param {Function} handlers.recovered - Called when an interrupted connection is back
+   * @param {Function} handlers.restart - Restarts ICE
+   * @param {Function} handlers.rebuild - Replaces the connection
+   * @param {Function} handlers.drop - Closes the connection for good
+   */
+  _watchPeerConnection(peerConnection, handlers) {
+    const recovery = { timer: null, interrupted: false, restarted: false };
+    this._peerRecoveries.set(peerConnection, recovery);
+    
+    const schedule = (delay, action) => {
+      clearTimeout(recovery.timer);
+      recovery.timer = setTimeout(() => {
+        recovery.timer = null;
+        action();
+      }, delay);
+    };
+    
+    const giveUp = (action) => {
+      this._unwatchPeerConnection(peerConnection);
+      action();
+    };
+    const rebuild = () => giveUp(handlers.rebuild);
+    
+    const restart = () => {
+      recovery.restarted = true;
+      handlers.restart();
+      schedule(this.recoveryOptions.restartTimeout, rebuild);
+    };
+    
+    const onStateChange = () => {
+      if (handlers.changed) {
+        handlers.changed();
+      }
+      if (this._peerRecoveries.get(peerConnection) !== recovery) {
+        return;
+      }
+      
+      const { connectionState, iceConnectionState } = peerConnection;
+      if (connectionState === 'closed' || iceConnectionState === 'closed') {
+        this._unwatchPeerConnection(peerConnection);
+        return;
+      }
+      
+      if (connectionState === 'connected' || iceConnectionState === 'connected' || iceConnectionState === 'completed') {
+        clearTimeout(recovery.timer);
+        recovery.timer = null;
+        if (recovery.interrupted) {
+          recovery.interrupted = false;
+          recovery.restarted = false;
+          handlers.recovered();
+        }
+        return;
+      }
+      
+      const failed = connectionState === 'failed' || iceConnectionState === 'failed';
+      if (!failed && connectionState !== 'disconnected' && iceConnectionState !== 'disconnected') {
+        return;
+      }
+      
+      if (!recovery.interrupted) {
+        recovery.interrupted = true;
+        handlers.interrupted();
+      }
+      
+      if (!this.recoveryOptions) {
+        if (failed) {
+          giveUp(handlers.drop);
+        }
+      } else if (recovery.restarted) {
+        if (failed) {
+          rebuild();
+        }
+      } else if (failed) {
+        schedule(0, restart);
+      } else if (!recovery.timer) {
+        schedule(this.recoveryOptions.gracePeriod, restart);
+      }
+    };
+    
+    peerConnection.onconnectionstatechange = onStateChange;
+    peerConnection.oniceconnectionstatechange = onStateChange;
+  }
+  
+  /**
+   * Stop recovering a peer connection
+   * @private
+   * @param {RTCPeerConnection} peerConnection - Watched peer connection
+   */
+  _unwatchPeerConnection(peerConnection) {
+    const recovery = this._peerRecoveries.get(peerConnection);
+    if (recovery) {
+      clearTimeout(recovery.timer);
+      this._peerRecoveries.delete(peerConnection);
+    }
+  }
+  
+  /**
+   * Stop recovering a peer connection and close it
+   * @private
+   * @param {RTCPeerConnection} peerConnection - Peer connection to close
+   */
+  _closePeerConnection(peerConnection) {
+    this._unwatchPeerConnection(peerConnection);
+    this._negotiations.delete(peerConnection);
+    this._statsSamples.delete(peerConnection);
+    try {
+      peerConnection.close();
+    } catch (e) {
+      // Ignore errors when closing
+    }
+  }
+  
+  /**
+   * Negotiate a peer connection with perfect negotiation. Either side offers
+   * whenever the connection needs renegotiating, such as when tracks are
+   * added or removed. When both sides offer at once, the polite side rolls
+   * its offer back and answers, while the impolite side ignores the incoming
+   * offer. Cameras are impolite and viewers are polite.
+   * @private
+   * @param {string} peerId - Client ID of the remote peer
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @param {boolean} polite - Whether this side yields when offers collide
+   */
+  _negotiate(peerId, peerConnection, polite) {
+    this._negotiations.set(peerConnection, {
+      polite: polite,
+      makingOffer: false,
+      ignoreOffer: false,
+      settingRemoteAnswer: false
+    });
+    peerConnection.onnegotiationneeded = () => this._makeOffer(peerId, peerConnection);
+  }
+  
+  /**
+   * Create an offer on a negotiated peer connection and send it to the peer
+   * @private
+   * @param {string} peerId - Client ID of the remote peer
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @param {Object} [offerOptions] - Options for createOffer, e.g. { iceRestart: true }
+   * @returns {Promise<void>}
+   */
+  async _makeOffer(peerId, peerConnection, offerOptions) {
+    const negotiation = this._negotiations.get(peerConnection);
+    if (!negotiation) {
+      return;
+    }
+    
+    try {
+      negotiation.makingOffer = true;
+      const offer = await peerConnection.createOffer(offerOptions);
+      
+      // The peer's offer won if it was applied in the meantime
+      if (peerConnection.signalingState !== 'stable') {
+        return;
+      }
+      await peerConnection.setLocalDescription(offer);
+      
+      if (this._canSend()) {
+        this._send({
+          type: 'offer',
+          target: peerId,
+          sdp: offer
+        });
+      }
+    } catch (error) {
+      this._reportBackgroundError(error, 'Could not send offer', { peerId });
+    } finally {
+      negotiation.makingOffer = false;
+    }
+  }
+  
+  /**
+   * Apply an offer or answer from the peer of a negotiated peer connection,
+   * answering offers. Colliding offers are resolved by politeness.
+   * @private
+   * @param {string} peerId - Client ID of the remote peer
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @param {Object} description - Remote SDP offer or answer
+   * @param {Object} [answerOptions] - Options for createAnswer
+   * @returns {Promise<void>}
+   */
+  async _handleDescription(peerId, peerConnection, description, answerOptions) {
+    const negotiation = this._negotiations.get(peerConnection);
+    const readyForOffer = !negotiation.makingOffer &&
+      (peerConnection.signalingState === 'stable' || negotiation.settingRemoteAnswer);
+    const offerCollision = description.type === 'offer' && !readyForOffer;
+    
+    negotiation.ignoreOffer = !negotiation.polite && offerCollision;
+    if (negotiation.ignoreOffer) {
+      this._log('debug', 'Ignoring colliding offer', { peerId });
+      return;
+    }
+    
+    if (offerCollision && peerConnection.signalingState === 'have-local-offer') {
+      this._log('debug', 'Rolling back local offer for colliding offer', { peerId });
+      await peerConnection.setLocalDescription({ type: 'rollback' });
+    }
+    
+    negotiation.settingRemoteAnswer = description.type === 'answer';
+    try {
+      await this._setRemoteDescription(peerId, peerConnection, description);
+    } finally {
+      negotiation.settingRemoteAnswer = false;
+    }
+    
+    if (description.type === 'offer') {
+      const answer = await peerConnection.createAnswer(answerOptions);
+      await peerConnection.setLocalDescription(answer);
+      
+      if (this._canSend()) {
+        this._send({
+          type: 'answer',
+          target: peerId,
+          sdp: answer
+        });
+      }
+    }
+  }
+  
+  /**
+   * Check whether a peer connection is ignoring the peer's colliding offer,
+   * in which case candidates for that offer are expected to fail
+   * @private
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @returns {boolean} True while an offer is being ignored
+   */
+  _isIgnoringOffer(peerConnection) {
+    const negotiation = peerConnection && this._negotiations.get(peerConnection);
+    return Boolean(negotiation && negotiation.ignoreOffer);
+  }
+  
+  /**
+   * Apply a remote description, holding back ICE candidates from the peer
+   * until it is in place
+   * @private
+   * @param {string} peerId - Client ID of the remote peer
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @param {Object} description - Remote SDP
+   * @returns {Promise<void>}
+   */
+  async _setRemoteDescription(peerId, peerConnection, description) {
+    if (!this._pendingCandidates.has(peerId)) {
+      this._pendingCandidates.set(peerId, []);
+    }
+    
+    try {
+      await peerConnection.setRemoteDescription(new RTCSessionDescription(description));
+    } catch (error) {
+      this._pendingCandidates.delete(peerId);
+      throw error;
+    }
+    
+    // Candidates that arrive while earlier ones are added join the same queue
+    const pending = this._pendingCandidates.get(peerId) || [];
+    while (pending.length > 0) {
+      try {
+        await this._addIceCandidate(peerConnection, pending.shift());
+      } catch (error) {
+        this._reportBackgroundError(error, 'Could not add ICE candidate', { peerId });
+      }
+    }
+    this._pendingCandidates.delete(peerId);
+  }
+  
+  /**
+   * Add an ICE candidate from a peer, or queue it until the peer connection
+   * exists and has the peer's remote description
+   * @private
+   * @param {string} peerId - Client ID of the remote peer
+   * @param {RTCPeerConnection|null} peerConnection - Peer connection, if created yet
+   * @param {Object|null} candidate - ICE candidate, or null for end-of-candidates
+   * @returns {Promise<void>}
+   */
+  async _applyIceCandidate(peerId, peerConnection, candidate) {
+    if (peerConnection && peerConnection.remoteDescription && !this._pendingCandidates.has(peerId)) {
+      await this._addIceCandidate(peerConnection, candidate);
+      return;
+    }
+    
+    const pending = this._pendingCandidates.get(peerId) || [];
+    if (pending.length >= MAX_PENDING_CANDIDATES) {
+      this._log('warn', 'Dropping ICE candidate, too many are pending', { peerId });
+      return;
+    }
+    pending.push(candidate);
+    this._pendingCandidates.set(peerId, pending);
+  }
+  
+  /**
+   * Add an ICE candidate to a peer connection
+   * @private
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @param {Object|null} candidate - ICE candidate, or null for end-of-candidates
+   * @returns {Promise<void>}
+   */
+  async _addIceCandidate(peerConnection, candidate) {
+    if (candidate) {
+      await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+      return;
+    }
+    
+    // Older implementations do not accept the end-of-candidates marker;
+    // gathering completes without it there
+    try {
+      await peerConnection.addIceCandidate();
+    } catch (e) {
+      this._log('debug', 'End-of-candidates not supported', { error: e.message });
+    }
+  }
+  
+  /**
+   * Send a local ICE candidate to a peer, or end-of-candidates once
+   * gathering is complete
+   * @private
+   * @param {string} peerId - Client ID of the remote peer
+   * @param {RTCIceCandidate|null} candidate - Candidate from an icecandidate event
+   */
+  _sendIceCandidate(peerId, candidate) {
+    if (this._canSend()) {
+      this._send({
+        type: 'iceCandidate',
+        target: peerId,
+        candidate: candidate || null
+      });
+    }
+  }
+  
+  /**
+   * Read normalized statistics for the video of a peer connection
+   * @private
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @returns {Promise<Object>} Statistics: `timestamp` (ms), `bitrate` (bits/s,
+   *   null on the first reading), `framesPerSecond`, `resolution` ({ width,
+   *   height }), `packetsLost`, `packetLoss` (fraction of packets lost),
+   *   `jitter` (ms), `roundTripTime` (ms) and `candidateType` ({ local, remote }
+   *   of the selected candidate pair); unknown values are null
+   */
+  async _collectStats(peerConnection) {
+    const report = await peerConnection.getStats();
+    const entries = new Map();
+    let media = null;
+    let remoteInbound = null;
+    let pair = null;
+    let transport = null;
+    
+    report.forEach(entry => {
+      entries.set(entry.id, entry);
+      const video = (entry.kind || entry.mediaType) === 'video';
+      if ((entry.type === 'inbound-rtp' || entry.type === 'outbound-rtp') && video) {
+        media = entry;
+      } else if (entry.type === 'remote-inbound-rtp' && video) {
+        remoteInbound = entry;
+      } else if (entry.type === 'transport') {
+        transport = entry;
+      } else if (entry.type === 'candidate-pair' && !pair &&
+          (entry.selected || (entry.nominated && entry.state === 'succeeded'))) {
+        pair = entry;
+      }
+    });
+    if (transport && transport.selectedCandidatePairId) {
+      pair = entries.get(transport.selectedCandidatePairId) || pair;
+    }
+    
+    const stats = {
+      timestamp: Date.now(),
+      bitrate: null,
+      framesPerSecond: null,
+      resolution: null,
+      packetsLost: null,
+      packetLoss: null,
+      jitter: null,
+      roundTripTime: null,
+      candidateType: null
+    };
+    const toMs = seconds => (typeof seconds === 'number' ? seconds * 1000 : null);
+    
+    if (media) {
+      const inbound = media.type === 'inbound-rtp';
+      const bytes = inbound ? media.bytesReceived : media.bytesSent;
+      const previous = this._statsSamples.get(peerConnection);
+      if (previous && typeof bytes === 'number' && media.timestamp > previous.timestamp) {
+        const bits = Math.max(0, bytes - previous.bytes) * 8;
+        stats.bitrate = Math.round(bits / ((media.timestamp - previous.timestamp) / 1000));
+      }
+      this._statsSamples.set(peerConnection, { timestamp: media.timestamp, bytes: bytes });
+      
+      stats.framesPerSecond = typeof media.framesPerSecond === 'number' ? media.framesPerSecond : null;
+      if (media.frameWidth && media.frameHeight) {
+        stats.resolution = { width: media.frameWidth, height: media.frameHeight };
+      }
+      
+      // Loss and jitter are measured by the receiving side; a sender learns
+      // them from the receiver's reports
+      const loss = inbound ? media : remoteInbound;
+      if (loss && typeof loss.packetsLost === 'number') {
+        // RTCP reports a negative count when duplicates outnumber losses
+        stats.packetsLost = Math.max(0, loss.packetsLost);
+        if (inbound) {
+          const total = stats.packetsLost + (loss.packetsReceived || 0);
+          stats.packetLoss = total > 0 ? stats.packetsLost / total : 0;
+        } else if (typeof loss.fractionLost === 'number') {
+          stats.packetLoss = loss.fractionLost;
+        }
+      }
+      stats.jitter = loss ? toMs(loss.jitter) : null;
+    }
+    
+    const pairRoundTripTime = toMs(pair && pair.currentRoundTripTime);
+    stats.roundTripTime = pairRoundTripTime !== null ? pairRoundTripTime :
+      toMs(remoteInbound && remoteInbound.roundTripTime);
+    
+    if (pair) {
+      const local = entries.get(pair.localCandidateId);
+      const remote = entries.get(pair.remoteCandidateId);
+      stats.candidateType = {
+        local: local ? local.candidateType : null,
+        remote: remote ? remote.candidateType : null
+      };
+    }
+    
+    return stats;
+  }
+  
+  /**
+   * Start emitting `stats` for every peer connection, if enabled and not
+   * already running. Each tick reads every connection, then hands the
+   * readings over together. The timer stops once there are no connections left.
+   * @private
+   */
+  _startStatsTimer() {
+    if (!this.statsInterval || this._statsTimer) {
+      return;
+    }
+    
+    this._statsTimer = setInterval(() => {
+      const targets = this._getStatsTargets();
+      if (targets.length === 0) {
+        this._stopStatsTimer();
+        return;
+      }
+      
+      Promise.all(targets.map(({ peerConnection, args }) => {
+        return this._collectStats(peerConnection)
+          .then(stats => ({ stats, args }))
+          .catch(error => {
+            this._log('debug', 'Could not read connection statistics', { error: error.message });
+            return null;
+          });
+      }))
+        .then(readings => this._handleStatsReadings(readings.filter(Boolean)))
+        .catch(error => {
+          this._log('warn', 'Could not handle connection statistics', { error: error.message });
+        });
+    }, this.statsInterval);
+  }
+  
+  /**
+   * Stop the stats timer
+   * @private
+   */
+  _stopStatsTimer() {
+    if (this._statsTimer) {
+      clearInterval(this._statsTimer);
+      this._statsTimer = null;
+    }
+  }
+  
+  /**
+   * List the peer connections the stats timer reports on
+   * @private
+   * @returns {Array<Object>} `{ peerConnection, args }` entries; args follow
+   *   the statistics in each `stats` event
+   */
+  _getStatsTargets() {
+    return [];
+  }
+  
+  /**
+   * Emit a `stats` event for each reading of a stats timer tick
+   * @private
+   * @param {Array<Object>} readings - `{ stats, args }` entries; args identify
+   *   the connection, e.g. the viewer ID
    */
-  async connect() {
-    // Prevent multiple simultaneous connection attempts
-    if (this.isConnecting) {
-      throw new Error('Connection attempt already in progress');
-    }
-    
-    if (this.isConnected) {
-      return Promise.resolve();
+  _handleStatsReadings(readings) {
+    readings.forEach(({ stats, args }) => this.emit('stats', stats, ...args));
+  }
+  
+  /**
+   * Resolve the auth token from a static value or a token provider
+   * @private
+   * @returns {Promise<string|null>} Token, or null if none is configured
+   */
+  async _resolveToken() {
+    if (typeof this.token === 'function') {
+      return await this.token();
     }
-    
-    this.isConnecting = true;
-    
-    return new Promise((resolve, reject) => {
-      try {
-        this.ws = new WebSocket(this.serverUrl);
-        
-        this.ws.onopen = this._handleWebSocketOpen;
-        this.ws.onmessage = this._handleWebSocketMessage;
-        this.ws.onclose = this._handleWebSocketClose;
-        this.ws.onerror = this._handleWebSocketError;
-        
-        // Set up resolution handlers
-        const onConnected = () => {
-          this.removeListener('error', onError);
-          resolve();
-        };
-        
-        const onError = (error) => {
-          this.removeListener('connected', onConnected);
-          reject(error);
-        };
-        
-        this.once('connected', onConnected);
-        this.once('error', onError);
-      } catch (error) {
-        this.isConnecting = false;
-        reject(error);
-      }
-    });
+    return this.token;
   }
   
   /**
@@ -150,6 +1305,14 @@ class WebRTCCCTVClient extends EventEmitter {
    * @returns {Promise<void>}
    */
   async disconnect() {
+    this._manualDisconnect = true;
+    this.resumeToken = null;
+    
+    // Abandon any reconnection in progress
+    if (this.isReconnecting) {
+      this._stopReconnecting();
+    }
+    
     return new Promise((resolve) => {
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
         this.ws.close();
@@ -161,7 +1324,9 @@ class WebRTCCCTVClient extends EventEmitter {
   }
   
   /**
-   * Join a room
+   * Join a room. The client leaves its other rooms unless
+   * `roomOptions.keepRooms` is set, which viewers may use to be in several
+   * rooms at once.
    * @param {string} roomName - Name of the room to join
    * @param {Object} [roomOptions] - Additional room options
    * @returns {Promise<void>}
@@ -175,57 +1340,178 @@ class WebRTCCCTVClient extends EventEmitter {
       const joinMessage = {
         type: 'join',
         room: roomName,
+        requestId: this._nextRequestId(),
         ...roomOptions
       };
       
+      if (this.roomSecret && joinMessage.secret === undefined) {
+        joinMessage.secret = this.roomSecret;
+      }
+      
+      const cleanup = () => {
+        this.removeListener('roomJoined', onJoined);
+        this.removeListener('joinRejected', onRejected);
+        this.removeListener('signalingError', onSignalingError);
+        this.removeListener('error', onError);
+      };
+      
       const onJoined = (room) => {
         if (room === roomName) {
-          this.removeListener('error', onError);
+          cleanup();
+          this._joins.set(roomName, roomOptions);
           resolve();
         }
       };
       
+      const onRejected = (message) => {
+        if (message.room === roomName) {
+          cleanup();
+          const error = new Error(message.message || `Join rejected: ${message.reason}`);
+          error.reason = message.reason;
+          error.room = message.room;
+          reject(error);
+        }
+      };
+      
+      const onSignalingError = (error) => {
+        if (error.requestId === joinMessage.requestId) {
+          cleanup();
+          reject(error);
+        }
+      };
+      
       const onError = (error) => {
-        this.removeListener('roomJoined', onJoined);
+        cleanup();
         reject(error);
       };
       
-      this.once('roomJoined', onJoined);
+      this.on('roomJoined', onJoined);
+      this.on('joinRejected', onRejected);
+      this.on('signalingError', onSignalingError);
       this.once('error', onError);
       
-      this.ws.send(JSON.stringify(joinMessage));
+      this._send(joinMessage);
     });
   }
   
   /**
-   * Leave current room
+   * Leave a room
+   * @param {string} [roomName] - Room to leave; every room the client is in if omitted
    * @returns {Promise<void>}
    */
-  async leaveRoom() {
-    if (!this.currentRoom) {
-      throw new Error('Not in a room');
+  async leaveRoom(roomName) {
+    if (!this.isConnected) {
+      throw new Error('Not connected to server');
+    }
+    
+    if (roomName === undefined) {
+      if (this.rooms.size === 0) {
+        throw new Error('Not in a room');
+      }
+      await Promise.all(Array.from(this.rooms, room => this.leaveRoom(room)));
+      return;
+    }
+    
+    if (!this.rooms.has(roomName)) {
+      throw new Error(`Not in room ${roomName}`);
     }
     
-    return this.joinRoom('default');
+    await this._request({ type: 'leave', room: roomName }, 'roomLeft');
+  }
+  
+  /**
+   * Forget a room the client is no longer in
+   * @private
+   * @param {string} room - Room name
+   */
+  _removeRoom(room) {
+    this.rooms.delete(room);
+    this._joins.delete(room);
+    if (this.currentRoom === room) {
+      this.currentRoom = this.rooms.size > 0 ? Array.from(this.rooms).pop() : null;
+    }
   }
   
   /**
-   * Get list of available cameras in current room
-   * @returns {Promise<Array>} Array of available camera objects
+   * Measure the round-trip time to the signaling server
+   * @param {number} [timeout=10000] - Time in ms to wait for the pong
+   * @returns {Promise<number>} Round-trip latency in ms
    */
-  async getAvailableCameras() {
+  async ping(timeout = 10000) {
     if (!this.isConnected) {
       throw new Error('Not connected to server');
     }
     
-    return new Promise((resolve) => {
-      // Emit an event with the current available cameras
-      const cameras = [];
-      this.emit('availableCamerasList', cameras);
-      resolve(cameras);
+    return new Promise((resolve, reject) => {
+      const requestId = this._nextRequestId();
+      
+      const onLatency = (latency, message) => {
+        if (message.requestId === requestId) {
+          clearTimeout(timer);
+          this.removeListener('latency', onLatency);
+          resolve(latency);
+        }
+      };
+      
+      const timer = setTimeout(() => {
+        this.removeListener('latency', onLatency);
+        reject(new Error(`Ping timed out after ${timeout}ms`));
+      }, timeout);
+      
+      this.on('latency', onLatency);
+      
+      this._send({
+        type: 'ping',
+        requestId: requestId,
+        timestamp: Date.now()
+      });
     });
   }
   
+  /**
+   * List one page of the cameras in a room
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.room] - Room to list (defaults to currentRoom)
+   * @param {Array<string>} [options.tags] - Only cameras that have all of these tags
+   * @param {string} [options.name] - Only cameras whose name or ID contains this text
+   * @param {number} [options.limit] - Page size (server default 50, at most 200)
+   * @param {string} [options.cursor] - `nextCursor` of the previous page
+   * @returns {Promise<Object>} `{ cameras, total, nextCursor }`; each camera is
+   *   `{ cameraId, clientId, metadata }` and nextCursor is null on the last page
+   */
+  async listCameras(options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Not connected to server');
+    }
+    
+    const room = options.room || this.currentRoom;
+    if (!room) {
+      throw new Error('Not in a room');
+    }
+    
+    const { tags, name, limit, cursor } = options;
+    const reply = await this._request({ type: 'listCameras', room, tags, name, limit, cursor }, 'cameraList');
+    return { cameras: reply.cameras, total: reply.total, nextCursor: reply.nextCursor };
+  }
+  
+  /**
+   * Get list of available cameras in a room, fetching every page
+   * @param {Object} [filter] - Filter by `tags` and/or `name`, and the `room` to list (see listCameras)
+   * @returns {Promise<Array>} Array of `{ cameraId, clientId, metadata }` objects
+   */
+  async getAvailableCameras(filter = {}) {
+    const cameras = [];
+    let cursor;
+    do {
+      const page = await this.listCameras({ room: filter.room, tags: filter.tags, name: filter.name, cursor });
+      cameras.push(...page.cameras);
+      cursor = page.nextCursor;
+    } while (cursor);
+    
+    this.emit('availableCamerasList', cameras);
+    return cameras;
+  }
+  
   /**
    * Handle WebSocket open event
    * @private
@@ -233,6 +1519,16 @@ class WebRTCCCTVClient extends EventEmitter {
   _handleWebSocketOpen() {
     this.isConnecting = false;
     this.isConnected = true;
+    
+    // Periodically measure signaling latency
+    if (this.heartbeatInterval > 0) {
+      this._heartbeatTimer = setInterval(() => {
+        this.ping().catch(() => {
+          // Missed pings are reflected by the absence of 'latency' events
+        });
+      }, this.heartbeatInterval);
+    }
+    
     this.emit('connected');
   }
   
@@ -250,18 +1546,50 @@ class WebRTCCCTVClient extends EventEmitter {
       switch (message.type) {
         case 'welcome':
           this.clientId = message.clientId;
+          this.identity = message.identity || null;
+          this.resumeToken = message.resumeToken || null;
+          this.sessionResumed = Boolean(message.resumed);
+          this._log('info', 'Connected to signaling server', { resumed: this.sessionResumed });
+          if (this.sessionResumed) {
+            this.rooms = new Set(message.rooms || []);
+            this.currentRoom = this.rooms.size > 0 ? Array.from(this.rooms).pop() : null;
+            this.emit('sessionResumed', { clientId: this.clientId, room: this.currentRoom, rooms: Array.from(this.rooms) });
+          }
           this.emit('welcome', this.clientId);
           break;
           
         case 'joined':
+          // The server reports every room the client is now in
+          this.rooms = new Set(message.rooms || [message.room]);
+          Array.from(this._joins.keys()).forEach(room => {
+            if (!this.rooms.has(room)) {
+              this._joins.delete(room);
+            }
+          });
           this.currentRoom = message.room;
+          this._log('info', 'Joined room');
           this.emit('roomJoined', message.room);
           break;
           
+        case 'joinRejected':
+          this._log('warn', 'Join rejected', { targetRoom: message.room, reason: message.reason });
+          this.emit('joinRejected', message);
+          break;
+          
         case 'clientJoined':
           this.emit('clientJoined', message);
           break;
           
+        case 'left':
+          this._removeRoom(message.room);
+          this._log('info', 'Left room', { leftRoom: message.room });
+          this.emit('roomLeft', message);
+          break;
+          
+        case 'clientLeft':
+          this.emit('clientLeft', message);
+          break;
+          
         case 'clientDisconnected':
           this.emit('clientDisconnected', message);
           break;
@@ -274,15 +1602,56 @@ class WebRTCCCTVClient extends EventEmitter {
           this.emit('cameraUnavailable', message);
           break;
           
+        case 'cameraUpdated':
+          this.emit('cameraUpdated', message);
+          break;
+          
+        case 'cameraList':
+          this.emit('cameraList', message);
+          break;
+          
         case 'cameraNotFound':
           this.emit('cameraNotFound', message);
           break;
           
+        case 'duplicateCamera':
+          this.emit('duplicateCamera', message);
+          break;
+          
+        case 'cameraPromoted':
+          this.emit('cameraPromoted', message);
+          break;
+          
+        case 'kicked':
+          // Do not reconnect or rejoin after an administrator's kick
+          this._manualDisconnect = true;
+          this.resumeToken = null;
+          this._joins.clear();
+          this._log('warn', 'Kicked by the server', { reason: message.reason });
+          this.emit('kicked', message);
+          break;
+          
+        case 'roomClosed':
+          this._log('warn', 'Room closed by the server', { closedRoom: message.room, reason: message.reason });
+          this._removeRoom(message.room);
+          this.emit('roomClosed', message);
+          break;
+          
+        case 'error':
+          this._log('warn', 'Signaling error', { code: message.code, messageType: message.messageType, error: message.message });
+          this.emit('signalingError', new SignalingError(message));
+          break;
+          
+        case 'pong':
+          this.latency = Date.now() - message.timestamp;
+          this.emit('latency', this.latency, message);
+          break;
+          
         default:
           this.emit('message', message);
       }
     } catch (error) {
-      this.emit('error', error);
+      this._reportBackgroundError(error, 'Could not handle signaling message');
     }
   }
   
@@ -291,10 +1660,31 @@ class WebRTCCCTVClient extends EventEmitter {
    * @private
    */
   _handleWebSocketClose() {
+    if (this._heartbeatTimer) {
+      clearInterval(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
+    
+    const wasConnected = this.isConnected;
+    if (wasConnected) {
+      this._log('info', 'Disconnected from signaling server');
+    }
     this.isConnecting = false;
     this.isConnected = false;
     this.clientId = null;
+    this.identity = null;
+    this.rooms = new Set();
     this.currentRoom = null;
+    
+    // Reconnect unless the application asked to disconnect
+    if (this.reconnectOptions && !this._manualDisconnect && (wasConnected || this.isReconnecting)) {
+      if (wasConnected) {
+        this.emit('disconnected');
+      }
+      this._scheduleReconnect();
+      return;
+    }
+    
     this.emit('disconnected');
   }
   
@@ -304,6 +1694,7 @@ class WebRTCCCTVClient extends EventEmitter {
    * @param {Error|Event} error - Error object
    */
   _handleWebSocketError(error) {
+    this._log('error', 'WebSocket error', { error: error && error.message });
     this.isConnecting = false;
     this.emit('error', error);
   }
@@ -318,12 +1709,18 @@ class CameraClient extends WebRTCCCTVClient {
    * Create a new camera client
    * @param {Object} options - Configuration options
    * @param {string} options.cameraId - Unique camera identifier
+   * @param {string} [options.cameraKey] - Key proving ownership of a camera ID the room policy reserves
+   * @param {Object} [options.metadata] - Camera description shown to viewers (name, location,
+   *   tags, resolutions, frameRates, capabilities)
    * @param {Object} [options.mediaConstraints] - Media constraints for getUserMedia
    */
   constructor(options = {}) {
     super(options);
     
     this.cameraId = options.cameraId || this._generateCameraId();
+    this.cameraKey = options.cameraKey;
+    this.metadata = options.metadata || null;
+    this.registrationState = null; // 'active', 'standby' or 'replaced'
     this.mediaConstraints = options.mediaConstraints || { video: true, audio: false };
     this.localStream = null;
     this.peerConnections = new Map();
@@ -360,14 +1757,43 @@ class CameraClient extends WebRTCCCTVClient {
     }
     
     // Join room as camera
-    await this.joinRoom(roomName, {
+    const joinOptions = {
       deviceType: 'camera',
       cameraId: this.cameraId
-    });
+    };
+    if (this.cameraKey !== undefined) {
+      joinOptions.cameraKey = this.cameraKey;
+    }
+    if (this.metadata) {
+      joinOptions.metadata = this.metadata;
+    }
+    
+    this.registrationState = 'active';
+    await this.joinRoom(roomName, joinOptions);
     
     this.emit('registered', { room: roomName, cameraId: this.cameraId });
   }
   
+  /**
+   * Update the camera's metadata. Fields are merged into the current
+   * metadata and viewers in the room are notified.
+   * @param {Object} metadata - Metadata fields to change
+   * @returns {Promise<Object>} The camera's full metadata after the update
+   */
+  async updateMetadata(metadata) {
+    if (!this.isConnected) {
+      throw new Error('Not connected to server');
+    }
+    
+    if (!this.currentRoom) {
+      throw new Error('Not in a room');
+    }
+    
+    const reply = await this._request({ type: 'updateCamera', metadata }, 'cameraUpdated');
+    this.metadata = reply.metadata;
+    return reply.metadata;
+  }
+  
   /**
    * Start streaming
    * @returns {Promise<void>}
@@ -389,31 +1815,87 @@ class CameraClient extends WebRTCCCTVClient {
     this.isStreaming = false;
     
     // Close all peer connections
-    this.peerConnections.forEach(pc => {
-      try {
-        pc.close();
-      } catch (e) {
-        // Ignore errors when closing
-      }
-    });
+    this.peerConnections.forEach(pc => this._closePeerConnection(pc));
     this.peerConnections.clear();
+    this._pendingCandidates.clear();
     
     this.emit('streamingStopped');
   }
   
+  /**
+   * Switch to a different local media stream, for example to add or drop
+   * audio. Tracks are added to and removed from every viewer connection,
+   * which renegotiates without being torn down. Tracks of the previous
+   * stream that are not in the new one are stopped.
+   * @param {MediaStream} stream - New local stream
+   */
+  setLocalStream(stream) {
+    const previous = this.localStream;
+    const tracks = stream.getTracks();
+    this.localStream = stream;
+    
+    this.peerConnections.forEach(pc => {
+      pc.getSenders().forEach(sender => {
+        if (sender.track && !tracks.includes(sender.track)) {
+          pc.removeTrack(sender);
+        }
+      });
+      tracks.forEach(track => {
+        if (!pc.getSenders().some(sender => sender.track === track)) {
+          pc.addTrack(track, stream);
+        }
+      });
+    });
+    
+    if (previous && previous !== stream) {
+      previous.getTracks().filter(track => !tracks.includes(track)).forEach(track => track.stop());
+    }
+    
+    this._log('info', 'Switched local stream', { tracks: tracks.length });
+    this.emit('localStreamChanged', stream);
+  }
+  
+  /**
+   * Get connection statistics for a viewer
+   * @param {string} viewerId - Viewer client ID
+   * @returns {Promise<Object>} Normalized statistics (see the `stats` event)
+   */
+  async getStats(viewerId) {
+    const peerConnection = this.peerConnections.get(viewerId);
+    if (!peerConnection) {
+      throw new Error(`No peer connection found for viewer ${viewerId}`);
+    }
+    return this._collectStats(peerConnection);
+  }
+  
+  /**
+   * List viewer connections for periodic stats
+   * @private
+   * @returns {Array<Object>} `{ peerConnection, args: [viewerId] }` entries
+   */
+  _getStatsTargets() {
+    return Array.from(this.peerConnections, ([viewerId, peerConnection]) => ({ peerConnection, args: [viewerId] }));
+  }
+  
   /**
    * Handle viewer request for stream
    * @param {Object} message - Viewer request message
    */
   handleViewerRequest(message) {
+    this._log('info', 'Viewer requested stream', { viewerId: message.viewerId });
     this.emit('viewerRequest', message);
     
-    // Create peer connection for viewer
+    // A viewer asks again when it gave up on recovering its connection
+    const previous = this.peerConnections.get(message.viewerId);
+    if (previous) {
+      this._closePeerConnection(previous);
+    }
+    this._pendingCandidates.delete(message.viewerId);
+    
+    // Create peer connection for viewer; adding the local tracks makes it
+    // send the offer
     const peerConnection = this._createPeerConnection(message.viewerId);
     this.peerConnections.set(message.viewerId, peerConnection);
-    
-    // Create and send offer
-    this._createOffer(message.viewerId);
   }
   
   /**
@@ -435,6 +1917,10 @@ class CameraClient extends WebRTCCCTVClient {
     const configuration = { iceServers: this.iceServers };
     const peerConnection = new RTCPeerConnection(configuration);
     
+    // Offer whenever tracks change; the camera wins colliding offers
+    this._negotiate(viewerId, peerConnection, false);
+    this._startStatsTimer();
+    
     // Add local stream tracks
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => {
@@ -444,79 +1930,75 @@ class CameraClient extends WebRTCCCTVClient {
     
     // Handle ICE candidates
     peerConnection.onicecandidate = (event) => {
-      if (event.candidate) {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-          this.ws.send(JSON.stringify({
-            type: 'iceCandidate',
-            target: viewerId,
-            candidate: event.candidate
-          }));
-        }
-      }
-    };
-    
-    // Handle connection state changes
-    peerConnection.onconnectionstatechange = () => {
-      if (peerConnection.connectionState === 'disconnected' || 
-          peerConnection.connectionState === 'failed') {
-        this.peerConnections.delete(viewerId);
-      }
+      this._sendIceCandidate(viewerId, event.candidate);
     };
     
-    // Handle ICE connection state changes
-    peerConnection.oniceconnectionstatechange = () => {
-      if (peerConnection.iceConnectionState === 'disconnected' || 
-          peerConnection.iceConnectionState === 'failed') {
+    // Restart ICE when the connection drops; the viewer requests the stream
+    // again if that does not bring it back
+    const dropConnection = () => {
+      this._closePeerConnection(peerConnection);
+      if (this.peerConnections.get(viewerId) === peerConnection) {
         this.peerConnections.delete(viewerId);
       }
     };
+    this._watchPeerConnection(peerConnection, {
+      interrupted: () => {
+        this._log('warn', 'Connection to viewer interrupted', { viewerId });
+        this.emit('streamInterrupted', viewerId);
+      },
+      recovered: () => {
+        this._log('info', 'Connection to viewer recovered', { viewerId });
+        this.emit('streamRecovered', viewerId);
+      },
+      restart: () => {
+        this._log('info', 'Restarting ICE', { viewerId });
+        if (typeof peerConnection.restartIce === 'function') {
+          peerConnection.restartIce();
+        } else {
+          this._makeOffer(viewerId, peerConnection, { iceRestart: true });
+        }
+      },
+      rebuild: () => {
+        this._log('warn', 'ICE restart failed, closing connection to viewer', { viewerId });
+        dropConnection();
+      },
+      drop: dropConnection
+    });
     
     return peerConnection;
   }
   
   /**
-   * Create offer for viewer
-   * @private
-   * @param {string} viewerId - Viewer client ID
+   * Handle answer from viewer
+   * @param {Object} message - Answer message
    */
-  async _createOffer(viewerId) {
-    try {
-      const peerConnection = this.peerConnections.get(viewerId);
-      if (!peerConnection) return;
-      
-      const offer = await peerConnection.createOffer({
-        offerToReceiveVideo: false,
-        offerToReceiveAudio: false
-      });
-      
-      await peerConnection.setLocalDescription(offer);
-      
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify({
-          type: 'offer',
-          target: viewerId,
-          sdp: offer
-        }));
-      }
-    } catch (error) {
-      this.emit('error', error);
-    }
+  async handleAnswer(message) {
+    await this._handleViewerDescription(message);
   }
   
   /**
-   * Handle answer from viewer
-   * @param {Object} message - Answer message
+   * Handle offer from viewer renegotiating the connection
+   * @param {Object} message - Offer message
    */
-  async handleAnswer(message) {
+  async handleOffer(message) {
+    await this._handleViewerDescription(message);
+  }
+  
+  /**
+   * Apply an offer or answer from a viewer
+   * @private
+   * @param {Object} message - Offer or answer message
+   */
+  async _handleViewerDescription(message) {
     try {
       const peerConnection = this.peerConnections.get(message.sender);
       if (!peerConnection) {
         throw new Error(`No peer connection found for viewer ${message.sender}`);
       }
       
-      await peerConnection.setRemoteDescription(new RTCSessionDescription(message.sdp));
+      await this._handleDescription(message.sender, peerConnection, message.sdp);
     } catch (error) {
-      this.emit('error', error);
+      this._reportBackgroundError(error, 'Could not apply description from viewer', { viewerId: message.sender });
     }
   }
   
@@ -526,14 +2008,13 @@ class CameraClient extends WebRTCCCTVClient {
    */
   async handleIceCandidate(message) {
     try {
-      const peerConnection = this.peerConnections.get(message.sender);
-      if (!peerConnection) {
-        throw new Error(`No peer connection found for viewer ${message.sender}`);
-      }
-      
-      await peerConnection.addIceCandidate(new RTCIceCandidate(message.candidate));
+      // Held until the viewer's answer is applied
+      const peerConnection = this.peerConnections.get(message.sender) || null;
+      await this._applyIceCandidate(message.sender, peerConnection, message.candidate);
     } catch (error) {
-      this.emit('error', error);
+      if (!this._isIgnoringOffer(this.peerConnections.get(message.sender))) {
+        this._reportBackgroundError(error, 'Could not add ICE candidate from viewer', { viewerId: message.sender });
+      }
     }
   }
   
@@ -553,6 +2034,10 @@ class CameraClient extends WebRTCCCTVClient {
           this.handleViewerRequest(message);
           break;
           
+        case 'offer':
+          this.handleOffer(message);
+          break;
+          
         case 'answer':
           this.handleAnswer(message);
           break;
@@ -561,13 +2046,76 @@ class CameraClient extends WebRTCCCTVClient {
           this.handleIceCandidate(message);
           break;
           
+        case 'duplicateCamera':
+          this._handleDuplicateCamera(message);
+          break;
+          
+        case 'cameraPromoted':
+          this.registrationState = 'active';
+          this.emit('cameraPromoted', message);
+          break;
+          
+        case 'clientLeft':
+        case 'clientDisconnected':
+          this._closeViewerConnection(message.clientId, 'viewerLeft');
+          super._handleWebSocketMessage(data);
+          break;
+          
+        case 'streamStopped':
+          // Also ends connections whose request the viewer gave up on
+          // before answering
+          this._closeViewerConnection(message.viewerId, 'streamStopped');
+          break;
+          
+        case 'left':
+        case 'kicked':
+        case 'roomClosed':
+          this.registrationState = null;
+          super._handleWebSocketMessage(data);
+          break;
+          
         default:
           // Pass to parent class handler
           super._handleWebSocketMessage(data);
       }
     } catch (error) {
-      this.emit('error', error);
+      this._reportBackgroundError(error, 'Could not handle signaling message');
+    }
+  }
+  
+  /**
+   * Close the peer connection to a viewer that left the room or stopped viewing
+   * @private
+   * @param {string} viewerId - Viewer client ID
+   * @param {string} event - Event to emit with the viewer ID ('viewerLeft' or 'streamStopped')
+   */
+  _closeViewerConnection(viewerId, event) {
+    const peerConnection = this.peerConnections.get(viewerId);
+    if (!peerConnection) {
+      return;
+    }
+    
+    this._closePeerConnection(peerConnection);
+    this.peerConnections.delete(viewerId);
+    this._pendingCandidates.delete(viewerId);
+    this._log('info', 'Closed connection to viewer', { viewerId, reason: event });
+    this.emit(event, viewerId);
+  }
+  
+  /**
+   * Track registration state when another client registers the same camera ID
+   * @private
+   * @param {Object} message - Duplicate camera message
+   */
+  _handleDuplicateCamera(message) {
+    if (message.outcome === 'standby' && message.role === 'incoming') {
+      this.registrationState = 'standby';
+    } else if (message.outcome === 'replaced' && message.role === 'current') {
+      this.registrationState = 'replaced';
     }
+    
+    this._log('warn', 'Camera ID registered by another client', { outcome: message.outcome, role: message.role });
+    this.emit('duplicateCamera', message);
   }
   
   /**
@@ -575,6 +2123,7 @@ class CameraClient extends WebRTCCCTVClient {
    * @returns {Promise<void>}
    */
   async close() {
+    this._stopStatsTimer();
     await this.stopStreaming();
     await this.disconnect();
     
@@ -595,96 +2144,416 @@ class CameraClient extends WebRTCCCTVClient {
 class ViewerClient extends WebRTCCCTVClient {
   /**
    * Create a new viewer client
+   * @param {Object} [options] - Configuration options, as for WebRTCCCTVClient
+   * @param {boolean} [options.reportStats=false] - Send the periodic stats readings to the
+   *   server; enables stats every 5000 ms unless statsInterval is set, and
+   *   at most once per second
    */
   constructor(options = {}) {
     super(options);
     
-    this.availableCameras = new Map();
-    this.activeStreams = new Map();
-    this.peerConnections = new Map();
+    this.reportStats = Boolean(options.reportStats);
+    if (this.reportStats) {
+      this.statsInterval = Math.max(this.statsInterval || DEFAULT_STATS_REPORT_INTERVAL, MIN_STATS_REPORT_INTERVAL);
+    }
+    
+    // Each store is keyed by room, then by camera ID, since camera IDs are
+    // only unique within a room
+    this.availableCameras = new Map(); // room -> Map(cameraId -> { clientId, metadata })
+    this.activeStreams = new Map(); // room -> Map(cameraId -> MediaStream)
+    this.peerConnections = new Map(); // room -> Map(cameraId -> RTCPeerConnection)
+    this._streamRequests = new Map(); // room -> Map(cameraId -> pending requestStream)
+  }
+  
+  /**
+   * Get an entry from a room-keyed store
+   * @private
+   * @param {Map} store - Store keyed by room, then camera ID
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera identifier
+   * @returns {*} Stored value, or undefined
+   */
+  _getRoomEntry(store, room, cameraId) {
+    const entries = store.get(room);
+    return entries ? entries.get(cameraId) : undefined;
+  }
+  
+  /**
+   * Set an entry in a room-keyed store
+   * @private
+   * @param {Map} store - Store keyed by room, then camera ID
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera identifier
+   * @param {*} value - Value to store
+   */
+  _setRoomEntry(store, room, cameraId, value) {
+    if (!store.has(room)) {
+      store.set(room, new Map());
+    }
+    store.get(room).set(cameraId, value);
+  }
+  
+  /**
+   * Delete an entry from a room-keyed store
+   * @private
+   * @param {Map} store - Store keyed by room, then camera ID
+   * @param {string} room - Room name
+   * @param {string} cameraId - Camera identifier
+   */
+  _deleteRoomEntry(store, room, cameraId) {
+    const entries = store.get(room);
+    if (entries) {
+      entries.delete(cameraId);
+      if (entries.size === 0) {
+        store.delete(room);
+      }
+    }
+  }
+  
+  /**
+   * Find the room and camera ID of a camera client
+   * @private
+   * @param {string} clientId - Camera client ID
+   * @returns {Object|null} `{ room, cameraId }`, or null if the client is not an available camera
+   */
+  _findCamera(clientId) {
+    for (const [room, cameras] of this.availableCameras) {
+      for (const [cameraId, camera] of cameras) {
+        if (camera.clientId === clientId) {
+          return { room, cameraId };
+        }
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Get the client ID of an available camera
+   * @private
+   * @param {string} cameraId - Camera identifier
+   * @param {string} room - Room the camera is in
+   * @returns {string|null} Camera client ID, or null if the camera is not available
+   */
+  _getCameraClientId(cameraId, room) {
+    const camera = this._getRoomEntry(this.availableCameras, room, cameraId);
+    return camera ? camera.clientId : null;
   }
   
   /**
-   * Request stream from a camera
+   * Request stream from a camera. Resolves once the stream has arrived and
+   * the connection is up; on failure the half-built connection is closed.
    * @param {string} cameraId - Camera identifier
-   * @returns {Promise<MediaStream>}
+   * @param {Object} [options] - Request options
+   * @param {string} [options.room] - Room the camera is in (defaults to currentRoom)
+   * @param {number} [options.timeout=30000] - Time in ms to wait for the stream (0 waits forever)
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request
+   * @returns {Promise<MediaStream>} Rejects with a StreamRequestError whose code is
+   *   'cameraNotFound', 'noOffer', 'iceFailed' or 'cancelled', or with the
+   *   SignalingError if the server refuses the request
    */
-  async requestStream(cameraId) {
+  async requestStream(cameraId, options = {}) {
     if (!this.isConnected) {
       throw new Error('Not connected to server');
     }
     
-    if (!this.currentRoom) {
+    const room = options.room || this.currentRoom;
+    if (!room) {
       throw new Error('Not in a room');
     }
     
+    if (!this.rooms.has(room)) {
+      throw new Error(`Not in room ${room}`);
+    }
+    
+    if (this._getRoomEntry(this._streamRequests, room, cameraId)) {
+      throw new Error(`Stream from camera ${cameraId} already requested`);
+    }
+    
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      throw new StreamRequestError('cancelled', `Request for camera ${cameraId} was cancelled`);
+    }
+    
+    const timeout = options.timeout !== undefined ? options.timeout : DEFAULT_STREAM_TIMEOUT;
+    const requestId = this._nextRequestId();
+    
+    this._log('info', 'Requesting stream', { cameraId, room });
     return new Promise((resolve, reject) => {
-      // Check if camera is available
-      if (!this.availableCameras.has(cameraId)) {
-        const onError = (message) => {
-          if (message.cameraId === cameraId) {
-            this.removeListener('streamReceived', onStreamReceived);
-            reject(new Error(`Camera ${cameraId} not found`));
-          }
-        };
-        
-        this.once('cameraNotFound', onError);
-      }
+      // Progress reported by handleOffer and the peer connection
+      const request = { peerConnection: null, stream: null };
+      let timer = null;
       
-      const onStreamReceived = (stream, camId) => {
-        if (camId === cameraId) {
-          this.removeListener('cameraNotFound', onError);
-          resolve(stream);
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.removeListener('cameraNotFound', onCameraNotFound);
+        this.removeListener('signalingError', onSignalingError);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
         }
+        this._deleteRoomEntry(this._streamRequests, room, cameraId);
       };
       
-      const onError = (error) => {
-        this.removeListener('streamReceived', onStreamReceived);
+      // The server is told unless the viewer already left the room
+      const fail = (error, notifyServer = true) => {
+        cleanup();
+        if (request.peerConnection &&
+            this._getRoomEntry(this.peerConnections, room, cameraId) === request.peerConnection) {
+          this._releaseStream(cameraId, room, false);
+        }
+        if (notifyServer) {
+          this._sendStopStream(cameraId, room);
+        }
+        this._log('warn', 'Stream request failed', { cameraId, room, error: error.message });
         reject(error);
       };
       
-      this.once('streamReceived', onStreamReceived);
-      this.once('error', onError);
+      request.fail = fail;
+      request.offered = (peerConnection) => {
+        request.peerConnection = peerConnection;
+      };
+      
+      request.update = () => {
+        const { stream, peerConnection } = request;
+        if (!peerConnection) {
+          return;
+        }
+        
+        const { connectionState, iceConnectionState } = peerConnection;
+        if (connectionState === 'failed' || iceConnectionState === 'failed') {
+          fail(new StreamRequestError('iceFailed', `Connection to camera ${cameraId} failed`));
+        } else if (stream && (connectionState === 'connected' ||
+            iceConnectionState === 'connected' || iceConnectionState === 'completed')) {
+          cleanup();
+          resolve(stream);
+        }
+      };
+      
+      const onCameraNotFound = (message) => {
+        if (message.requestId === requestId ||
+            (message.cameraId === cameraId && (message.room || room) === room)) {
+          fail(new StreamRequestError('cameraNotFound', `Camera ${cameraId} not found`));
+        }
+      };
+      
+      // Reject if the server refuses this request
+      const onSignalingError = (error) => {
+        if (error.requestId === requestId) {
+          fail(error);
+        }
+      };
+      
+      const onAbort = () => {
+        fail(new StreamRequestError('cancelled', `Request for camera ${cameraId} was cancelled`));
+      };
+      
+      this._setRoomEntry(this._streamRequests, room, cameraId, request);
+      this.on('cameraNotFound', onCameraNotFound);
+      this.on('signalingError', onSignalingError);
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          fail(request.peerConnection ?
+            new StreamRequestError('iceFailed', `Connection to camera ${cameraId} timed out after ${timeout}ms`) :
+            new StreamRequestError('noOffer', `Camera ${cameraId} sent no offer within ${timeout}ms`));
+        }, timeout);
+      }
       
       // Send stream request
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify({
+      try {
+        this._send({
           type: 'requestStream',
           cameraId: cameraId,
-          requestId: Date.now().toString()
-        }));
+          room: room,
+          requestId: requestId
+        });
+      } catch (error) {
+        fail(error);
+      }
+    });
+  }
+  
+  /**
+   * Refresh a room's available camera registry from the server without
+   * rejoining the room. Emits `cameraAvailable` for cameras that were missing
+   * and `cameraUnavailable` for cameras that are gone.
+   * @param {string} [room] - Room to refresh (defaults to currentRoom)
+   * @returns {Promise<Array>} Array of `{ cameraId, clientId, metadata }` objects
+   */
+  async refreshCameras(room = this.currentRoom) {
+    const cameras = await this.getAvailableCameras({ room });
+    const listed = new Set(cameras.map(camera => camera.cameraId));
+    
+    for (const [cameraId, { clientId }] of Array.from(this.availableCameras.get(room) || [])) {
+      if (!listed.has(cameraId)) {
+        this._dropCamera(cameraId, room);
+        this._deleteRoomEntry(this.availableCameras, room, cameraId);
+        this.emit('cameraUnavailable', { type: 'cameraUnavailable', room, cameraId, clientId });
+      }
+    }
+    
+    cameras.forEach(camera => {
+      const known = this._getCameraClientId(camera.cameraId, room) === camera.clientId;
+      this._setRoomEntry(this.availableCameras, room, camera.cameraId, {
+        clientId: camera.clientId,
+        metadata: camera.metadata || {}
+      });
+      if (!known) {
+        this.emit('cameraAvailable', { type: 'cameraAvailable', room, ...camera });
       }
     });
+    
+    this._log('debug', 'Refreshed camera registry', { room, cameras: cameras.length });
+    return cameras;
+  }
+  
+  /**
+   * Get the metadata of an available camera
+   * @param {string} cameraId - Camera identifier
+   * @param {string} [room] - Room the camera is in (defaults to currentRoom)
+   * @returns {Object|null} Camera metadata, or null if the camera is not available
+   */
+  getCameraMetadata(cameraId, room = this.currentRoom) {
+    const camera = this._getRoomEntry(this.availableCameras, room, cameraId);
+    return camera ? camera.metadata : null;
   }
   
   /**
    * Stop viewing a camera
    * @param {string} cameraId - Camera identifier
+   * @param {string} [room] - Room the camera is in (defaults to currentRoom)
    * @returns {Promise<void>}
    */
-  async stopViewing(cameraId) {
+  async stopViewing(cameraId, room = this.currentRoom) {
+    this._releaseStream(cameraId, room);
+    this.emit('viewingStopped', cameraId, room);
+  }
+  
+  /**
+   * Close the peer connection to a camera and stop its stream
+   * @private
+   * @param {string} cameraId - Camera identifier
+   * @param {string} room - Room the camera is in
+   * @param {boolean} [notifyServer=true] - Send stopStream so the server ends the stream session
+   */
+  _releaseStream(cameraId, room, notifyServer = true) {
     // Close peer connection
-    if (this.peerConnections.has(cameraId)) {
-      try {
-        this.peerConnections.get(cameraId).close();
-      } catch (e) {
-        // Ignore errors when closing
-      }
-      this.peerConnections.delete(cameraId);
+    const peerConnection = this._getRoomEntry(this.peerConnections, room, cameraId);
+    if (peerConnection) {
+      this._closePeerConnection(peerConnection);
+      this._deleteRoomEntry(this.peerConnections, room, cameraId);
     }
+    this._pendingCandidates.delete(this._getCameraClientId(cameraId, room));
     
     // Remove stream
-    if (this.activeStreams.has(cameraId)) {
-      const stream = this.activeStreams.get(cameraId);
+    const stream = this._getRoomEntry(this.activeStreams, room, cameraId);
+    if (stream) {
       try {
         stream.getTracks().forEach(track => track.stop());
       } catch (e) {
         // Ignore errors when stopping tracks
       }
-      this.activeStreams.delete(cameraId);
+      this._deleteRoomEntry(this.activeStreams, room, cameraId);
+    }
+    
+    if (notifyServer) {
+      this._sendStopStream(cameraId, room);
+    }
+  }
+  
+  /**
+   * Tell the server a stream from a camera is no longer wanted, freeing the
+   * viewer's slot on the camera
+   * @private
+   * @param {string} cameraId - Camera identifier
+   * @param {string} room - Room the camera is in
+   */
+  _sendStopStream(cameraId, room) {
+    if (this._canSend() && this.rooms.has(room)) {
+      this._send({
+        type: 'stopStream',
+        cameraId: cameraId,
+        room: room
+      });
+    }
+  }
+  
+  /**
+   * Replace a connection that an ICE restart did not recover by requesting
+   * the stream again
+   * @private
+   * @param {string} cameraId - Camera identifier
+   * @param {string} room - Room the camera is in
+   * @returns {Promise<void>}
+   */
+  async _rebuildStream(cameraId, room) {
+    this._log('warn', 'ICE restart failed, requesting the stream again', { cameraId, room });
+    this._releaseStream(cameraId, room);
+    
+    try {
+      await this.requestStream(cameraId, { room });
+      this._log('info', 'Stream recovered', { cameraId, room });
+      this.emit('streamRecovered', cameraId, room);
+    } catch (error) {
+      this.emit('viewingStopped', cameraId, room);
+      this._reportBackgroundError(error, 'Could not recover stream', { cameraId, room });
+    }
+  }
+  
+  /**
+   * Reject the pending stream requests for a room's cameras
+   * @private
+   * @param {string} room - Room name
+   * @param {boolean} [notifyServer=true] - Send stopStream for each request
+   */
+  _cancelStreamRequests(room, notifyServer = true) {
+    const requests = this._streamRequests.get(room);
+    if (requests) {
+      Array.from(requests.entries()).forEach(([cameraId, request]) => {
+        request.fail(new StreamRequestError('cancelled', `Request for camera ${cameraId} was cancelled`), notifyServer);
+      });
+    }
+  }
+  
+  /**
+   * Fail the pending request for a camera that left and close the stream
+   * from it. The server has already ended the camera's stream sessions.
+   * @private
+   * @param {string} cameraId - Camera identifier
+   * @param {string} room - Room the camera was in
+   */
+  _dropCamera(cameraId, room) {
+    const request = this._getRoomEntry(this._streamRequests, room, cameraId);
+    if (request) {
+      request.fail(new StreamRequestError('cameraUnavailable', `Camera ${cameraId} is no longer available`), false);
     }
     
-    this.emit('viewingStopped', cameraId);
+    if (this._getRoomEntry(this.peerConnections, room, cameraId) ||
+        this._getRoomEntry(this.activeStreams, room, cameraId)) {
+      this._releaseStream(cameraId, room, false);
+      this.emit('viewingStopped', cameraId, room);
+    }
+  }
+  
+  /**
+   * Drop a room's cameras and streams once the client is no longer in it
+   * @private
+   * @param {string} room - Room name
+   */
+  _forgetRoom(room) {
+    // The server ended the room's stream sessions when the viewer left it
+    this._cancelStreamRequests(room, false);
+    const viewing = new Set([
+      ...(this.peerConnections.get(room) || new Map()).keys(),
+      ...(this.activeStreams.get(room) || new Map()).keys()
+    ]);
+    viewing.forEach(cameraId => {
+      this._releaseStream(cameraId, room, false);
+      this.emit('viewingStopped', cameraId, room);
+    });
+    
+    this.availableCameras.delete(room);
   }
   
   /**
@@ -693,47 +2562,52 @@ class ViewerClient extends WebRTCCCTVClient {
    */
   async handleOffer(message) {
     try {
-      // Find camera ID for this sender
-      let cameraId = null;
-      for (const [id, clientId] of this.availableCameras.entries()) {
-        if (clientId === message.sender) {
-          cameraId = id;
-          break;
-        }
-      }
-      
-      if (!cameraId) {
+      // Find the camera this sender registered as
+      const camera = this._findCamera(message.sender);
+      if (!camera) {
         throw new Error(`Could not find camera ID for sender ${message.sender}`);
       }
+      const { room, cameraId } = camera;
       
-      // Create or get peer connection
-      let peerConnection;
-      if (this.peerConnections.has(cameraId)) {
-        peerConnection = this.peerConnections.get(cameraId);
-      } else {
-        peerConnection = this._createPeerConnection(cameraId);
-        this.peerConnections.set(cameraId, peerConnection);
+      // Create or get peer connection; later offers renegotiate it
+      let peerConnection = this._getRoomEntry(this.peerConnections, room, cameraId);
+      if (!peerConnection) {
+        // Only a pending request may start a connection, so offers that
+        // arrive after a request was cancelled are dropped
+        const request = this._getRoomEntry(this._streamRequests, room, cameraId);
+        if (!request) {
+          this._log('debug', 'Ignoring offer without a stream request', { cameraId, room });
+          return;
+        }
+        
+        peerConnection = this._createPeerConnection(cameraId, room);
+        this._setRoomEntry(this.peerConnections, room, cameraId, peerConnection);
+        request.offered(peerConnection);
       }
       
-      await peerConnection.setRemoteDescription(new RTCSessionDescription(message.sdp));
-      
-      // Create and send answer
-      const answer = await peerConnection.createAnswer({
+      await this._handleDescription(message.sender, peerConnection, message.sdp, {
         offerToReceiveVideo: true,
         offerToReceiveAudio: false
       });
-      
-      await peerConnection.setLocalDescription(answer);
-      
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify({
-          type: 'answer',
-          target: message.sender,
-          sdp: answer
-        }));
+    } catch (error) {
+      this._reportBackgroundError(error, 'Could not answer offer from camera', { cameraClientId: message.sender });
+    }
+  }
+  
+  /**
+   * Handle answer from camera to an offer this viewer made
+   * @param {Object} message - Answer message
+   */
+  async handleAnswer(message) {
+    try {
+      const peerConnection = this._findPeerConnection(message.sender);
+      if (!peerConnection) {
+        throw new Error(`No peer connection found for sender ${message.sender}`);
       }
+      
+      await this._handleDescription(message.sender, peerConnection, message.sdp);
     } catch (error) {
-      this.emit('error', error);
+      this._reportBackgroundError(error, 'Could not apply answer from camera', { cameraClientId: message.sender });
     }
   }
   
@@ -743,37 +2617,85 @@ class ViewerClient extends WebRTCCCTVClient {
    */
   async handleIceCandidate(message) {
     try {
-      // Find camera ID for this sender
-      let cameraId = null;
-      for (const [id, clientId] of this.availableCameras.entries()) {
-        if (clientId === message.sender) {
-          cameraId = id;
-          break;
-        }
-      }
-      
-      if (!cameraId) {
-        throw new Error(`Could not find camera ID for sender ${message.sender}`);
-      }
-      
-      const peerConnection = this.peerConnections.get(cameraId);
-      if (!peerConnection) {
-        throw new Error(`No peer connection found for camera ${cameraId}`);
-      }
-      
-      await peerConnection.addIceCandidate(new RTCIceCandidate(message.candidate));
+      // Held until the camera is known and its offer is applied
+      const peerConnection = this._findPeerConnection(message.sender);
+      await this._applyIceCandidate(message.sender, peerConnection, message.candidate);
     } catch (error) {
-      this.emit('error', error);
+      if (!this._isIgnoringOffer(this._findPeerConnection(message.sender))) {
+        this._reportBackgroundError(error, 'Could not add ICE candidate from camera', { cameraClientId: message.sender });
+      }
+    }
+  }
+  
+  /**
+   * Get connection statistics for a camera
+   * @param {string} cameraId - Camera identifier
+   * @param {string} [room] - Room the camera is in (defaults to currentRoom)
+   * @returns {Promise<Object>} Normalized statistics (see the `stats` event)
+   */
+  async getStats(cameraId, room = this.currentRoom) {
+    const peerConnection = this._getRoomEntry(this.peerConnections, room, cameraId);
+    if (!peerConnection) {
+      throw new Error(`No peer connection found for camera ${cameraId}`);
+    }
+    return this._collectStats(peerConnection);
+  }
+  
+  /**
+   * List camera connections for periodic stats
+   * @private
+   * @returns {Array<Object>} `{ peerConnection, args: [cameraId, room] }` entries
+   */
+  _getStatsTargets() {
+    const targets = [];
+    this.peerConnections.forEach((connections, room) => {
+      connections.forEach((peerConnection, cameraId) => {
+        targets.push({ peerConnection, args: [cameraId, room] });
+      });
+    });
+    return targets;
+  }
+  
+  /**
+   * Emit a tick's statistics readings and, if enabled, report them to the
+   * server in one `streamStats` message. Reports are only sent over an open
+   * connection: queueing them while reconnecting would crowd real messages
+   * out of the offline queue, and the next tick replaces them anyway.
+   * @private
+   * @param {Array<Object>} readings - `{ stats, args: [cameraId, room] }` entries
+   */
+  _handleStatsReadings(readings) {
+    super._handleStatsReadings(readings);
+    
+    if (this.reportStats && readings.length > 0 && this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this._send({
+        type: 'streamStats',
+        reports: readings
+          .slice(0, MAX_STATS_REPORTS)
+          .map(({ stats, args: [cameraId, room] }) => ({ cameraId, room, stats }))
+      });
     }
   }
   
+  /**
+   * Find the peer connection to a camera client
+   * @private
+   * @param {string} clientId - Camera client ID
+   * @returns {RTCPeerConnection|null} Peer connection, or null if there is none
+   */
+  _findPeerConnection(clientId) {
+    const camera = this._findCamera(clientId);
+    return camera ? this._getRoomEntry(this.peerConnections, camera.room, camera.cameraId) || null : null;
+  }
+  
   /**
    * Create peer connection
    * @private
    * @param {string} cameraId - Camera identifier
+   * @param {string} room - Room the camera is in
    * @returns {RTCPeerConnection} Peer connection instance
    */
-  _createPeerConnection(cameraId) {
+  _createPeerConnection(cameraId, room) {
     // Check if RTCPeerConnection is available in this environment
     if (typeof RTCPeerConnection === 'undefined') {
       if (isNode) {
@@ -786,49 +2708,69 @@ class ViewerClient extends WebRTCCCTVClient {
     const configuration = { iceServers: this.iceServers };
     const peerConnection = new RTCPeerConnection(configuration);
     
+    // Renegotiate when the viewer changes tracks, e.g. for talkback; the
+    // viewer yields to the camera's offer when both offer at once
+    this._negotiate(this._getCameraClientId(cameraId, room), peerConnection, true);
+    this._startStatsTimer();
+    
     // Handle ICE candidates
     peerConnection.onicecandidate = (event) => {
-      if (event.candidate) {
-        // Find client ID for this camera
-        const targetClientId = this.availableCameras.get(cameraId);
-        if (targetClientId && this.ws && this.ws.readyState === WebSocket.OPEN) {
-          this.ws.send(JSON.stringify({
-            type: 'iceCandidate',
-            target: targetClientId,
-            candidate: event.candidate
-          }));
-        }
+      // Find client ID for this camera
+      const targetClientId = this._getCameraClientId(cameraId, room);
+      if (targetClientId) {
+        this._sendIceCandidate(targetClientId, event.candidate);
       }
     };
     
     // Handle remote stream
     peerConnection.ontrack = (event) => {
       const stream = event.streams[0];
-      this.activeStreams.set(cameraId, stream);
-      this.emit('streamReceived', stream, cameraId);
-    };
-    
-    // Handle connection state changes
-    peerConnection.onconnectionstatechange = () => {
-      if (peerConnection.connectionState === 'disconnected' || 
-          peerConnection.connectionState === 'failed') {
-        this.peerConnections.delete(cameraId);
-        if (this.activeStreams.has(cameraId)) {
-          this.activeStreams.delete(cameraId);
-        }
+      this._setRoomEntry(this.activeStreams, room, cameraId, stream);
+      this.emit('streamReceived', stream, cameraId, room);
+      
+      const request = this._getRoomEntry(this._streamRequests, room, cameraId);
+      if (request && request.peerConnection === peerConnection) {
+        request.stream = stream;
+        request.update();
       }
     };
     
-    // Handle ICE connection state changes
-    peerConnection.oniceconnectionstatechange = () => {
-      if (peerConnection.iceConnectionState === 'disconnected' || 
-          peerConnection.iceConnectionState === 'failed') {
-        this.peerConnections.delete(cameraId);
-        if (this.activeStreams.has(cameraId)) {
-          this.activeStreams.delete(cameraId);
+    // The camera restarts ICE when the connection drops; if that does not
+    // bring it back, request the stream again
+    const isCurrent = () => this._getRoomEntry(this.peerConnections, room, cameraId) === peerConnection;
+    this._watchPeerConnection(peerConnection, {
+      changed: () => {
+        const request = this._getRoomEntry(this._streamRequests, room, cameraId);
+        if (request && request.peerConnection === peerConnection) {
+          request.update();
+        }
+      },
+      interrupted: () => {
+        this._log('warn', 'Stream interrupted', { cameraId, room });
+        this.emit('streamInterrupted', cameraId, room);
+      },
+      recovered: () => {
+        this._log('info', 'Stream recovered', { cameraId, room });
+        this.emit('streamRecovered', cameraId, room);
+      },
+      restart: () => {
+        this._log('debug', 'Waiting for the camera to restart ICE', { cameraId, room });
+      },
+      rebuild: () => {
+        if (isCurrent()) {
+          this._rebuildStream(cameraId, room);
+        } else {
+          this._closePeerConnection(peerConnection);
+        }
+      },
+      drop: () => {
+        if (isCurrent()) {
+          this.stopViewing(cameraId, room);
+        } else {
+          this._closePeerConnection(peerConnection);
         }
       }
-    };
+    });
     
     return peerConnection;
   }
@@ -844,31 +2786,66 @@ class ViewerClient extends WebRTCCCTVClient {
       const messageData = typeof data === 'string' ? data : (data.data || data);
       const message = JSON.parse(messageData);
       
+      // Room-scoped messages name their room; older servers only ever
+      // have the one
+      const room = message.room || this.currentRoom;
+      
       switch (message.type) {
         case 'offer':
           this.handleOffer(message);
           break;
           
+        case 'answer':
+          this.handleAnswer(message);
+          break;
+          
         case 'iceCandidate':
           this.handleIceCandidate(message);
           break;
           
         case 'cameraAvailable':
-          this.availableCameras.set(message.cameraId, message.clientId);
+          this._setRoomEntry(this.availableCameras, room, message.cameraId, {
+            clientId: message.clientId,
+            metadata: message.metadata || {}
+          });
           this.emit('cameraAvailable', message);
           break;
           
+        case 'cameraUpdated':
+          if (this._getCameraClientId(message.cameraId, room) === message.clientId) {
+            this._getRoomEntry(this.availableCameras, room, message.cameraId).metadata = message.metadata || {};
+          }
+          this.emit('cameraUpdated', message);
+          break;
+          
         case 'cameraUnavailable':
-          this.availableCameras.delete(message.cameraId);
+          this._dropCamera(message.cameraId, room);
+          this._pendingCandidates.delete(message.clientId);
+          this._deleteRoomEntry(this.availableCameras, room, message.cameraId);
           this.emit('cameraUnavailable', message);
           break;
           
+        case 'left':
+        case 'roomClosed':
+          this._forgetRoom(room);
+          super._handleWebSocketMessage(data);
+          break;
+          
+        case 'joined':
+          super._handleWebSocketMessage(data);
+          // Joining without keepRooms leaves every other room
+          Array.from(this.availableCameras.keys())
+            .concat(Array.from(this.peerConnections.keys()))
+            .filter(joinedRoom => !this.rooms.has(joinedRoom))
+            .forEach(joinedRoom => this._forgetRoom(joinedRoom));
+          break;
+          
         default:
           // Pass to parent class handler
           super._handleWebSocketMessage(data);
       }
     } catch (error) {
-      this.emit('error', error);
+      this._reportBackgroundError(error, 'Could not handle signaling message');
     }
   }
   
@@ -877,26 +2854,28 @@ class ViewerClient extends WebRTCCCTVClient {
    * @returns {Promise<void>}
    */
   async close() {
+    this._stopStatsTimer();
+    Array.from(this._streamRequests.keys()).forEach(room => this._cancelStreamRequests(room));
+    
     // Stop all active streams
-    for (const [cameraId, stream] of this.activeStreams.entries()) {
-      try {
-        stream.getTracks().forEach(track => track.stop());
-      } catch (e) {
-        // Ignore errors when stopping tracks
+    for (const streams of this.activeStreams.values()) {
+      for (const stream of streams.values()) {
+        try {
+          stream.getTracks().forEach(track => track.stop());
+        } catch (e) {
+          // Ignore errors when stopping tracks
+        }
       }
     }
     
     // Close all peer connections
-    for (const [cameraId, pc] of this.peerConnections.entries()) {
-      try {
-        pc.close();
-      } catch (e) {
-        // Ignore errors when closing
-      }
+    for (const connections of this.peerConnections.values()) {
+      connections.forEach(pc => this._closePeerConnection(pc));
     }
     
     this.activeStreams.clear();
     this.peerConnections.clear();
+    this._pendingCandidates.clear();
     this.availableCameras.clear();
     
     await this.disconnect();
@@ -910,6 +2889,9 @@ if (isNode) {
     WebRTCCCTVClient,
     CameraClient,
     ViewerClient,
+    EventEmitter,
+    SignalingError,
+    StreamRequestError,
     isBrowser,
     isNode
   };
@@ -922,6 +2904,9 @@ if (isNode) {
     WebRTCCCTVClient,
     CameraClient,
     ViewerClient,
+    EventEmitter,
+    SignalingError,
+    StreamRequestError,
     isBrowser,
     isNode
   };
@@ -1,7 +1,21 @@
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const path = require('path');
+const auth = require('./lib/auth');
+const roomPolicy = require('./lib/room-policy');
+const { ErrorCodes, schemas, validateMessage } = require('./lib/signaling-schema');
+const { MemoryAdapter } = require('./lib/state-adapter');
+const { createAdminRouter } = require('./lib/admin-api');
+const metrics = require('./lib/metrics');
+const { Logger } = require('./lib/logger');
+const { RateLimiter, parseRateLimits } = require('./lib/rate-limiter');
+const { normalizeCameraMetadata, matchesCameraFilter } = require('./lib/camera-metadata');
+const { normalizeStreamStats } = require('./lib/stream-stats');
+
+// Structured JSON logger; the level comes from LOG_LEVEL (default 'info')
+const logger = new Logger();
 
 // Create Express app and HTTP server
 const app = express();
@@ -30,74 +44,356 @@ app.get('/viewer.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'nikolaindustry-webrtc-index.html'));
 });
 
+// Prometheus metrics endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  res.send(metricsRegistry.render());
+});
+
+// Admin API: rooms, clients, cameras and stream sessions, plus admin actions
+app.use('/api', createAdminRouter({
+  getStateAdapter: () => stateAdapter,
+  isAuthEnabled: () => Boolean(tokenVerifier),
+  authenticate: authenticateRequest,
+  kickClient: kickClient,
+  evictCamera: evictCamera,
+  closeRoom: closeRoom
+}));
+
+// Token verify hook. Authentication is required when AUTH_SECRET is set or
+// when a custom verifier is installed with setTokenVerifier().
+let tokenVerifier = process.env.AUTH_SECRET ? auth.createHmacVerifier(process.env.AUTH_SECRET) : null;
+
+// Install a custom verify hook: async (token, req) => identity. The hook
+// should resolve to an identity object with an `id`, or throw/resolve null
+// to reject the connection. Pass null to disable authentication.
+function setTokenVerifier(verifier) {
+  tokenVerifier = verifier;
+}
+
+// Authenticate WebSocket upgrade requests before the connection is accepted
+async function verifyClient(info, callback) {
+  if (!tokenVerifier) {
+    callback(true);
+    return;
+  }
+  
+  const token = auth.extractToken(info.req);
+  if (!token) {
+    logger.warn('Rejecting connection without a token');
+    callback(false, 401, 'Unauthorized');
+    return;
+  }
+  
+  try {
+    const identity = await tokenVerifier(token, info.req);
+    if (!identity) {
+      throw new Error('Verifier rejected token');
+    }
+    // Attached to the socket once the connection is established
+    info.req.identity = identity;
+    callback(true);
+  } catch (error) {
+    logger.warn('Rejecting connection with an invalid token', { error: error.message });
+    callback(false, 401, 'Unauthorized');
+  }
+}
+
+// Verify the token presented on an HTTP request; resolves to the identity,
+// or null if the token is missing or invalid
+async function authenticateRequest(req) {
+  const token = auth.extractToken(req);
+  if (!token || !tokenVerifier) {
+    return null;
+  }
+  
+  try {
+    return (await tokenVerifier(token, req)) || null;
+  } catch (error) {
+    logger.warn('Rejecting admin API request with an invalid token', { error: error.message });
+    return null;
+  }
+}
+
+// Accept the auth sub-protocol when the token was sent in Sec-WebSocket-Protocol
+function handleProtocols(protocols) {
+  if (protocols.has(auth.AUTH_PROTOCOL)) {
+    return auth.AUTH_PROTOCOL;
+  }
+  return protocols.values().next().value || false;
+}
+
+// Resource limits (0 means unlimited). Messages larger than MAX_MESSAGE_SIZE
+// bytes are refused with an error; the socket is closed (code 1009) for
+// messages over four times that size.
+const MAX_MESSAGE_SIZE = parseInt(process.env.MAX_MESSAGE_SIZE, 10) || 128 * 1024;
+const MAX_CLIENTS_PER_ROOM = parseInt(process.env.MAX_CLIENTS_PER_ROOM, 10) || 0;
+const MAX_CAMERAS_PER_ROOM = parseInt(process.env.MAX_CAMERAS_PER_ROOM, 10) || 0;
+const MAX_VIEWERS_PER_CAMERA = parseInt(process.env.MAX_VIEWERS_PER_CAMERA, 10) || 0;
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS, 10) || 0;
+
 // Create WebSocket server
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, verifyClient, handleProtocols, maxPayload: MAX_MESSAGE_SIZE * 4 });
+
+// Heartbeat settings: ping every interval, terminate sockets silent for longer than the timeout
+const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL, 10) || 30000;
+const HEARTBEAT_TIMEOUT = parseInt(process.env.HEARTBEAT_TIMEOUT, 10) || HEARTBEAT_INTERVAL * 2;
 
-// Store connected clients
+// How long a disconnected client's session is held for resumption, in ms (0 disables)
+const SESSION_GRACE_PERIOD = parseInt(process.env.SESSION_GRACE_PERIOD, 10) >= 0
+  ? parseInt(process.env.SESSION_GRACE_PERIOD, 10)
+  : 10000;
+
+// Maximum number of messages buffered for a suspended session
+const MAX_PENDING_MESSAGES = 100;
+
+// Close code for connections ended by an administrator
+const KICKED_CLOSE_CODE = 4000;
+
+// Default and maximum number of cameras in a listCameras page
+const CAMERA_LIST_PAGE_SIZE = 50;
+const MAX_CAMERA_LIST_PAGE_SIZE = 200;
+
+// Per-client, per-message-type rate limits (JSON in RATE_LIMITS overrides the
+// defaults) and how many refused messages are tolerated before disconnecting
+const RATE_LIMITS = parseRateLimits(process.env.RATE_LIMITS);
+const RATE_LIMIT_MAX_VIOLATIONS = parseInt(process.env.RATE_LIMIT_MAX_VIOLATIONS, 10) || 20;
+const RATE_LIMIT_VIOLATION_WINDOW = parseInt(process.env.RATE_LIMIT_VIOLATION_WINDOW, 10) || 60000;
+
+// Close code for connections ended for exceeding rate limits (policy violation)
+const RATE_LIMIT_CLOSE_CODE = 1008;
+
+// Shared state: room membership, camera registry, stream sessions and message
+// routing. Replace with setStateAdapter() to run several server instances.
+let stateAdapter = new MemoryAdapter();
+
+// Install a different state adapter; must be called before start()
+function setStateAdapter(adapter) {
+  if (clients.size > 0) {
+    throw new Error('The state adapter cannot be changed while clients are connected');
+  }
+  stateAdapter = adapter;
+}
+
+// Store sockets connected to this instance (including suspended sessions awaiting resumption)
 const clients = new Map();
 
-// Store available cameras by room
-const availableCameras = new Map();
+// Metrics exposed at /metrics. Client and camera gauges count this instance's
+// connections; the room gauge reflects the whole deployment.
+const metricsRegistry = new metrics.Registry();
+metricsRegistry.gauge({
+  name: 'signaling_clients',
+  help: 'Clients connected to this instance by device type',
+  labelNames: ['deviceType'],
+  collect: () => {
+    const counts = { camera: 0, viewer: 0, none: 0 };
+    clients.forEach(client => {
+      counts[client.rooms.size > 0 ? (client.deviceType || 'viewer') : 'none']++;
+    });
+    return Object.keys(counts).map(deviceType => ({ labels: { deviceType }, value: counts[deviceType] }));
+  }
+});
+metricsRegistry.gauge({
+  name: 'signaling_rooms',
+  help: 'Rooms with at least one member',
+  collect: () => [{ value: stateAdapter.getRooms().length }]
+});
+metricsRegistry.gauge({
+  name: 'signaling_cameras',
+  help: 'Cameras registered by clients connected to this instance',
+  collect: () => {
+    let count = 0;
+    clients.forEach(client => {
+      const room = getCameraRoom(client);
+      if (room && stateAdapter.getCamera(room, client.cameraId) === client.clientId) {
+        count++;
+      }
+    });
+    return [{ value: count }];
+  }
+});
+const relayedMessagesCounter = metricsRegistry.counter({
+  name: 'signaling_messages_relayed_total',
+  help: 'Messages forwarded from one client to another, by forwarded type',
+  labelNames: ['type']
+});
+const cameraNotFoundCounter = metricsRegistry.counter({
+  name: 'signaling_camera_not_found_total',
+  help: 'Stream requests for a camera that was not available'
+});
+const parseErrorsCounter = metricsRegistry.counter({
+  name: 'signaling_parse_errors_total',
+  help: 'Inbound messages that were not valid JSON'
+});
+const invalidMessagesCounter = metricsRegistry.counter({
+  name: 'signaling_invalid_messages_total',
+  help: 'Inbound messages rejected by schema validation by error code',
+  labelNames: ['code']
+});
+const rateLimitedCounter = metricsRegistry.counter({
+  name: 'signaling_rate_limited_total',
+  help: 'Inbound messages refused for exceeding a rate limit by type',
+  labelNames: ['type']
+});
+const rateLimitDisconnectsCounter = metricsRegistry.counter({
+  name: 'signaling_rate_limit_disconnects_total',
+  help: 'Clients disconnected for repeatedly exceeding rate limits'
+});
+const connectionDuration = metricsRegistry.histogram({
+  name: 'signaling_connection_duration_seconds',
+  help: 'Duration of client sessions, including any resumed connections',
+  labelNames: ['deviceType'],
+  buckets: [1, 10, 60, 300, 900, 3600, 14400, 86400]
+});
+
+// Store resumable sessions by resume token
+const resumableSessions = new Map();
+
+// How to handle a second live registration of the same camera ID:
+// 'reject' the newcomer, 'replace' the current camera, or queue as 'standby'.
+// Replacing and standby apply only to newcomers proven to be the same camera
+// (see checkCameraRegistration); anyone else is rejected.
+const DUPLICATE_CAMERA_POLICY = process.env.DUPLICATE_CAMERA_POLICY || 'reject';
+
+// Store access policies by room (rooms without a policy are open)
+const roomPolicies = process.env.ROOM_POLICIES_FILE
+  ? roomPolicy.loadRoomPolicies(process.env.ROOM_POLICIES_FILE)
+  : new Map();
+
+// Set or replace the access policy for a room
+function setRoomPolicy(room, policy) {
+  roomPolicies.set(room, policy);
+}
+
+// Remove the access policy for a room, making it open
+function removeRoomPolicy(room) {
+  roomPolicies.delete(room);
+}
 
 // Handle WebSocket connections
 wss.on('connection', (ws, req) => {
-  console.log('New client connected');
+  // Attach the verified identity (null when authentication is disabled)
+  ws.identity = req.identity || null;
+  
+  // Resume a previous session if the client presents a valid resume token,
+  // otherwise generate a unique client ID
+  const previous = findResumableSession(req, ws.identity);
+  if (previous) {
+    resumeSession(previous, ws);
+  } else {
+    ws.clientId = generateClientId();
+    ws.connectedAt = Date.now();
+    ws.rooms = new Set();
+  }
+  const clientId = ws.clientId;
+  clientLogger(ws).info('Client connected', { identity: ws.identity ? ws.identity.id : undefined });
+  
+  // Limit how fast this connection may send each message type
+  ws.rateLimiter = new RateLimiter({
+    limits: RATE_LIMITS,
+    maxViolations: RATE_LIMIT_MAX_VIOLATIONS,
+    violationWindow: RATE_LIMIT_VIOLATION_WINDOW
+  });
   
-  // Generate unique client ID
-  const clientId = generateClientId();
-  ws.clientId = clientId;
+  // Track liveness for the heartbeat loop
+  ws.lastSeen = Date.now();
+  ws.latency = null;
+  ws.on('pong', () => {
+    ws.lastSeen = Date.now();
+    if (ws.pingSentAt) {
+      ws.latency = ws.lastSeen - ws.pingSentAt;
+    }
+  });
   
   // Store client
   clients.set(clientId, ws);
+  updateMembership(ws);
+  
+  // Issue a fresh resume token for this connection
+  ws.resumeToken = crypto.randomBytes(24).toString('hex');
+  resumableSessions.set(ws.resumeToken, ws);
   
   // Send client their ID
   ws.send(JSON.stringify({
     type: 'welcome',
-    clientId: clientId
+    clientId: clientId,
+    identity: ws.identity ? ws.identity.id : null,
+    resumeToken: ws.resumeToken,
+    resumed: Boolean(previous),
+    rooms: previous ? Array.from(ws.rooms) : undefined
   }));
   
+  // Deliver messages that arrived while the session was suspended
+  if (previous) {
+    previous.pendingMessages.forEach(message => ws.send(JSON.stringify(message)));
+    clientLogger(ws).info('Client resumed session', { pendingMessages: previous.pendingMessages.length });
+  }
+  
   // Handle incoming messages
   ws.on('message', (message) => {
+    ws.lastSeen = Date.now();
+    
+    if (message.length > MAX_MESSAGE_SIZE) {
+      clientLogger(ws).warn('Message too large', { size: message.length });
+      if (checkRateLimit(ws, null)) {
+        sendError(ws, null, ErrorCodes.PAYLOAD_TOO_LARGE, `Messages may not exceed ${MAX_MESSAGE_SIZE} bytes`);
+      }
+      return;
+    }
+    
+    let data;
     try {
-      const data = JSON.parse(message);
-      handleSignalingMessage(ws, data);
+      data = JSON.parse(message);
     } catch (error) {
-      console.error('Error parsing message:', error);
+      clientLogger(ws).warn('Message is not valid JSON', { error: error.message });
+      parseErrorsCounter.inc();
+      if (checkRateLimit(ws, null)) {
+        sendError(ws, null, ErrorCodes.PARSE_ERROR, 'Message is not valid JSON');
+      }
+      return;
+    }
+    
+    // Refuse messages beyond the client's rate limit for their type
+    if (!checkRateLimit(ws, data)) {
+      return;
     }
+    
+    // Validate against the protocol schema before acting on the message
+    const failure = validateMessage(data);
+    if (failure) {
+      const messageType = data && typeof data.type === 'string' ? data.type : null;
+      const requestId = data && typeof data.requestId === 'string' ? data.requestId : undefined;
+      clientLogger(ws, messageType).warn('Invalid message', { code: failure.code, error: failure.message });
+      invalidMessagesCounter.inc({ code: failure.code });
+      sendError(ws, messageType, failure.code, failure.message, requestId);
+      return;
+    }
+    
+    handleSignalingMessage(ws, data);
   });
   
   // Handle client disconnect
-  ws.on('close', () => {
-    console.log(`Client ${clientId} disconnected`);
+  ws.on('close', (code) => {
+    clientLogger(ws).info('Client disconnected', { code });
     
-    // Remove camera from available cameras if it was a camera
-    if (ws.deviceType === 'camera' && ws.cameraId) {
-      console.log(`Removing camera ${ws.cameraId} from available cameras`);
-      // Remove from global available cameras tracking
-      if (availableCameras.has(ws.room)) {
-        const roomCameras = availableCameras.get(ws.room);
-        if (roomCameras.has(ws.cameraId)) {
-          roomCameras.delete(ws.cameraId);
-          console.log(`Camera ${ws.cameraId} removed from room ${ws.room}`);
-        }
-      }
-      
-      // Notify other clients in the room that this camera is no longer available
-      if (ws.room) {
-        broadcastToRoom(ws.room, {
-          type: 'cameraUnavailable',
-          cameraId: ws.cameraId,
-          clientId: clientId
-        }, ws);
-      }
+    // A resumed connection has taken over this client's session
+    if (ws.superseded) {
+      return;
+    }
+    
+    // Hold the session for a grace period after an abnormal closure
+    // (network loss, heartbeat timeout) so the client can resume it
+    if (code === 1006 && SESSION_GRACE_PERIOD > 0) {
+      suspendSession(ws);
+      return;
     }
     
-    clients.delete(clientId);
+    removeClient(ws);
   });
   
   // Handle errors
   ws.on('error', (error) => {
-    console.error(`WebSocket error for client ${clientId}:`, error);
+    clientLogger(ws).error('WebSocket error', { error });
   });
 });
 
@@ -105,18 +401,18 @@ wss.on('connection', (ws, req) => {
 function handleSignalingMessage(sender, message) {
   // Ensure sender has a clientId
   if (!sender.clientId) {
-    console.log('Sender does not have a clientId, skipping message');
+    logger.warn('Sender does not have a clientId, skipping message', { type: message.type });
     return;
   }
+  let log = clientLogger(sender, message.type);
   
   switch (message.type) {
     case 'offer':
-      // Validate that target is provided
-      if (!message.target) {
-        console.log('Offer message missing target client ID');
+      if (!canRelay(sender, message)) {
         return;
       }
       // Send offer to target client
+      relayedMessagesCounter.inc({ type: 'offer' });
       sendToClient(message.target, {
         type: 'offer',
         sender: sender.clientId,
@@ -125,12 +421,11 @@ function handleSignalingMessage(sender, message) {
       break;
       
     case 'answer':
-      // Validate that target is provided
-      if (!message.target) {
-        console.log('Answer message missing target client ID');
+      if (!canRelay(sender, message)) {
         return;
       }
       // Send answer to target client
+      relayedMessagesCounter.inc({ type: 'answer' });
       sendToClient(message.target, {
         type: 'answer',
         sender: sender.clientId,
@@ -139,12 +434,11 @@ function handleSignalingMessage(sender, message) {
       break;
       
     case 'iceCandidate':
-      // Validate that target is provided
-      if (!message.target) {
-        console.log('ICE candidate message missing target client ID');
+      if (!canRelay(sender, message)) {
         return;
       }
       // Send ICE candidate to target client
+      relayedMessagesCounter.inc({ type: 'iceCandidate' });
       sendToClient(message.target, {
         type: 'iceCandidate',
         sender: sender.clientId,
@@ -152,22 +446,126 @@ function handleSignalingMessage(sender, message) {
       });
       break;
       
+    case 'ping':
+      // Application-level ping so clients can measure signaling latency
+      sender.send(JSON.stringify({
+        type: 'pong',
+        requestId: message.requestId,
+        timestamp: message.timestamp,
+        serverTime: Date.now()
+      }));
+      break;
+      
+    case 'leave':
+      // Leave the named room, or every room when none is named
+      if (message.room ? !sender.rooms.has(message.room) : sender.rooms.size === 0) {
+        sendError(sender, 'leave', ErrorCodes.NOT_IN_ROOM, message.room ? `Not in room ${message.room}` : 'Not in a room', message.requestId);
+        return;
+      }
+      (message.room ? [message.room] : Array.from(sender.rooms)).forEach(leftRoom => {
+        notifyDeparture(sender, 'clientLeft', leftRoom);
+        removeFromRoom(sender, leftRoom);
+        log.info('Client left room', { leftRoom });
+        sender.send(JSON.stringify({
+          type: 'left',
+          room: leftRoom,
+          requestId: message.requestId
+        }));
+      });
+      break;
+      
+    case 'listCameras':
+      sendCameraList(sender, message);
+      break;
+      
+    case 'updateCamera':
+      updateCameraMetadata(sender, message);
+      break;
+      
+    case 'streamStats':
+      recordStreamStats(sender, message);
+      break;
+      
+    case 'stopStream':
+      stopStream(sender, message);
+      break;
+      
     case 'join':
       // Handle client joining a room
       const room = message.room || 'default';
       
-      // If client is already in a room, remove them from camera tracking if they were a camera
-      if (sender.room && sender.deviceType === 'camera' && sender.cameraId) {
-        if (availableCameras.has(sender.room)) {
-          const oldRoomCameras = availableCameras.get(sender.room);
-          if (oldRoomCameras.has(sender.cameraId)) {
-            oldRoomCameras.delete(sender.cameraId);
-            console.log(`Removed camera ${sender.cameraId} from old room ${sender.room}`);
-          }
+      // Cameras may describe themselves when joining
+      let metadata = null;
+      if (message.metadata) {
+        const normalized = normalizeCameraMetadata(message.metadata);
+        if (normalized.error) {
+          sendError(sender, 'join', normalized.error.code, normalized.error.message, message.requestId);
+          return;
         }
+        metadata = normalized.metadata;
+      }
+      
+      // Check the room policy before changing any client state
+      const rejection = roomPolicy.checkJoin(roomPolicies.get(room), {
+        identityId: sender.identity ? sender.identity.id : null,
+        deviceType: message.deviceType || sender.deviceType || 'viewer',
+        secret: message.secret
+      });
+      if (rejection) {
+        log.info('Join rejected by room policy', { targetRoom: room, reason: rejection.reason });
+        sender.send(JSON.stringify({
+          type: 'joinRejected',
+          room: room,
+          reason: rejection.reason,
+          message: rejection.message
+        }));
+        return;
+      }
+      
+      const deviceType = message.deviceType || sender.deviceType || 'viewer';
+      const cameraId = message.cameraId || sender.cameraId;
+      
+      // Only viewers may be in several rooms; everyone else moves rooms
+      if (message.keepRooms && deviceType !== 'viewer') {
+        sendError(sender, 'join', ErrorCodes.INVALID_FIELD, 'Only viewers can be in several rooms', message.requestId);
+        return;
+      }
+      const keepRooms = Boolean(message.keepRooms) && (sender.deviceType || 'viewer') === 'viewer';
+      
+      // Check camera ID ownership and duplicate registrations
+      let registration = null;
+      if (deviceType === 'camera' && cameraId) {
+        registration = checkCameraRegistration(sender, room, cameraId, message.cameraKey);
+      }
+      
+      // Check the server's room and camera limits
+      const joinRejection = (registration && registration.rejection) ||
+        checkRoomLimits(sender, room, registration);
+      if (joinRejection) {
+        log.info('Join rejected', { targetRoom: room, cameraId, reason: joinRejection.reason });
+        sender.send(JSON.stringify({
+          type: 'joinRejected',
+          room: room,
+          reason: joinRejection.reason,
+          message: joinRejection.message
+        }));
+        return;
+      }
+      
+      // If client is already registered as a camera elsewhere, release that registration
+      if (getCameraRoom(sender) && !(registration && registration.action === 'rejoin')) {
+        releaseCamera(sender);
+      }
+      
+      // Leave the client's other rooms unless it asked to keep them
+      if (!keepRooms) {
+        Array.from(sender.rooms).filter(otherRoom => otherRoom !== room).forEach(otherRoom => {
+          notifyDeparture(sender, 'clientLeft', otherRoom);
+          removeFromRoom(sender, otherRoom);
+        });
       }
       
-      sender.room = room;
+      sender.rooms.add(room);
       
       // Check if client specified a device type
       if (message.deviceType) {
@@ -179,18 +577,19 @@ function handleSignalingMessage(sender, message) {
         sender.cameraId = message.cameraId;
       }
       
-      console.log(`Client ${sender.clientId} joining room ${room} as ${sender.deviceType || 'viewer'} with cameraId ${sender.cameraId}`);
-      
-      // Initialize available cameras tracking for this room if needed
-      if (!availableCameras.has(room)) {
-        availableCameras.set(room, new Map());
-        console.log(`Initialized camera tracking for room ${room}`);
+      if (metadata) {
+        sender.cameraMetadata = metadata;
       }
       
+      updateMembership(sender);
+      log = clientLogger(sender, message.type);
+      log.info('Client joined room', { deviceType: sender.deviceType || 'viewer' });
+      
       // Notify client of room join success
       sender.send(JSON.stringify({
         type: 'joined',
-        room: room
+        room: room,
+        rooms: Array.from(sender.rooms)
       }));
       
       // Notify other clients in the room about the new client
@@ -198,133 +597,866 @@ function handleSignalingMessage(sender, message) {
         type: 'clientJoined',
         clientId: sender.clientId,
         deviceType: sender.deviceType || 'viewer',
-        cameraId: sender.cameraId
+        cameraId: sender.cameraId,
+        room: room
       }, sender);
       
-      // If this is a camera, add it to available cameras and notify all viewers
-      if (sender.deviceType === 'camera' && sender.cameraId) {
-        // Add to available cameras tracking
-        availableCameras.get(room).set(sender.cameraId, sender.clientId);
-        console.log(`Registered camera ${sender.cameraId} in room ${room}`);
-        
-        // Notify all viewers in the room about the available camera
-        broadcastToRoom(room, {
-          type: 'cameraAvailable',
-          cameraId: sender.cameraId,
-          clientId: sender.clientId
-        }, sender);
+      // If this is a camera, register it and notify all viewers
+      if (registration) {
+        registerCamera(sender, registration);
       }
       
       // If this is a viewer, send them the list of currently available cameras
       if (!sender.deviceType || sender.deviceType === 'viewer') {
-        console.log(`New viewer ${sender.clientId} joining room ${room}`);
         // Send list of currently available cameras
-        const roomCameras = availableCameras.get(room);
-        if (roomCameras) {
-          console.log(`Found ${roomCameras.size} cameras in room ${room}`);
+        const roomCameras = stateAdapter.getCameras(room);
+        log.debug('Sending available cameras to viewer', { cameras: roomCameras.size });
+        if (roomCameras.size > 0) {
           roomCameras.forEach((cameraClientId, cameraId) => {
             // Verify the camera client is still connected
-            if (clients.has(cameraClientId)) {
-              console.log(`Sending camera ${cameraId} to viewer ${sender.clientId}`);
+            if (stateAdapter.hasClient(cameraClientId)) {
               sender.send(JSON.stringify({
                 type: 'cameraAvailable',
+                room: room,
                 cameraId: cameraId,
-                clientId: cameraClientId
+                clientId: cameraClientId,
+                metadata: stateAdapter.getCameraMetadata(room, cameraId)
               }));
             } else {
               // Camera is no longer connected, remove from available cameras
-              console.log(`Camera ${cameraId} no longer connected, removing from available list`);
-              roomCameras.delete(cameraId);
+              log.debug('Removing camera that is no longer connected', { cameraId });
+              stateAdapter.deleteCamera(room, cameraId);
             }
           });
-        } else {
-          console.log(`No cameras found in room ${room}`);
         }
       }
       break;
       
     case 'requestStream':
       // Viewer requesting to view a specific camera
-      if (!message.cameraId) {
-        console.log('Request stream message missing camera ID');
+      log.debug('Viewer requesting stream', { cameraId: message.cameraId });
+      const streamRoom = resolveRoom(sender, message);
+      if (!streamRoom) {
         return;
       }
       
-      console.log(`Viewer ${sender.clientId} requesting stream from camera ${message.cameraId} in room ${sender.room}`);
-      
       // Find the camera with the requested ID
       let targetCamera = null;
-      const roomCameras = availableCameras.get(sender.room);
-      if (roomCameras) {
-        console.log(`Found ${roomCameras.size} cameras in room ${sender.room}`);
+      const roomCameras = stateAdapter.getCameras(streamRoom);
+      if (roomCameras.size > 0) {
         if (roomCameras.has(message.cameraId)) {
           const cameraClientId = roomCameras.get(message.cameraId);
-          console.log(`Camera ${message.cameraId} found with client ID ${cameraClientId}`);
           // Verify the camera client is still connected
-          if (clients.has(cameraClientId)) {
+          if (stateAdapter.hasClient(cameraClientId)) {
             targetCamera = cameraClientId;
-            console.log(`Camera ${message.cameraId} is connected`);
           } else {
             // Camera is no longer connected, remove from available cameras
-            console.log(`Camera ${message.cameraId} is no longer connected, removing from available list`);
-            roomCameras.delete(message.cameraId);
+            log.debug('Removing camera that is no longer connected', { cameraId: message.cameraId });
+            stateAdapter.deleteCamera(streamRoom, message.cameraId);
           }
-        } else {
-          console.log(`Camera ${message.cameraId} not found in available cameras list`);
-          console.log(`Available cameras:`, Array.from(roomCameras.keys()));
         }
-      } else {
-        console.log(`No cameras found in room ${sender.room}`);
+      }
+      
+      if (targetCamera && MAX_VIEWERS_PER_CAMERA > 0 &&
+          countViewers(targetCamera, sender.clientId) >= MAX_VIEWERS_PER_CAMERA) {
+        log.info('Stream request rejected, camera has too many viewers', { cameraId: message.cameraId });
+        sendError(sender, message.type, ErrorCodes.TOO_MANY_VIEWERS,
+          `Camera ${message.cameraId} already has the maximum of ${MAX_VIEWERS_PER_CAMERA} viewers`, message.requestId);
+        return;
       }
       
       if (targetCamera) {
-        console.log(`Notifying camera ${targetCamera} of viewer request`);
+        log.info('Stream requested', { cameraId: message.cameraId, cameraClientId: targetCamera });
+        // Allow offer/answer/ICE relay between this viewer and camera
+        openStreamSession(sender, streamRoom, targetCamera, message.cameraId);
         // Notify the camera that a viewer wants to connect
+        relayedMessagesCounter.inc({ type: 'viewerRequest' });
         sendToClient(targetCamera, {
           type: 'viewerRequest',
           viewerId: sender.clientId,
           requestId: message.requestId || Date.now().toString()
         });
       } else {
-        console.log(`Camera ${message.cameraId} not found, sending cameraNotFound to viewer`);
+        log.info('Requested camera not found', { cameraId: message.cameraId, availableCameras: Array.from(roomCameras.keys()) });
+        cameraNotFoundCounter.inc();
         // Notify viewer that camera is not available
         sender.send(JSON.stringify({
           type: 'cameraNotFound',
-          cameraId: message.cameraId
+          room: streamRoom,
+          cameraId: message.cameraId,
+          requestId: message.requestId
         }));
       }
       break;
       
+    case 'kickClient':
+    case 'evictCamera':
+    case 'closeRoom':
+      handleAdminMessage(sender, message);
+      break;
+      
     default:
-      console.log('Unknown message type:', message.type);
+      log.warn('Unknown message type');
   }
 }
 
-// Send message to specific client
-function sendToClient(clientId, message) {
-  const client = clients.get(clientId);
-  if (client && client.readyState === WebSocket.OPEN) {
-    client.send(JSON.stringify(message));
+// Check a message against its sender's rate limit. Replies with an error when
+// the limit is exceeded, and disconnects clients that keep exceeding it.
+// Returns true if the message may be handled.
+function checkRateLimit(client, message) {
+  const type = message && typeof message.type === 'string' && Object.prototype.hasOwnProperty.call(schemas, message.type)
+    ? message.type
+    : 'invalid';
+  const result = client.rateLimiter.check(type);
+  if (result.allowed) {
+    return true;
+  }
+  
+  rateLimitedCounter.inc({ type });
+  const log = clientLogger(client, type);
+  const identity = client.identity ? client.identity.id : undefined;
+  
+  if (result.disconnect) {
+    log.warn('Disconnecting client for repeatedly exceeding rate limits', { identity });
+    rateLimitDisconnectsCounter.inc();
+    client.close(RATE_LIMIT_CLOSE_CODE, 'Rate limit exceeded');
+    return false;
+  }
+  
+  log.warn('Rate limit exceeded', { identity });
+  const requestId = message && typeof message.requestId === 'string' ? message.requestId : undefined;
+  sendError(client, type === 'invalid' ? null : type, ErrorCodes.RATE_LIMITED, `Too many ${type} messages, slow down`, requestId);
+  return false;
+}
+
+// Carry out an admin action requested over the WebSocket. Only clients whose
+// verified identity is an administrator may use these messages.
+function handleAdminMessage(sender, message) {
+  if (!auth.isAdmin(sender.identity)) {
+    clientLogger(sender, message.type).warn('Rejecting admin message from non-admin client');
+    sendError(sender, message.type, ErrorCodes.FORBIDDEN, 'Admin rights are required', message.requestId);
+    return;
+  }
+  
+  let found;
+  let notFoundMessage;
+  switch (message.type) {
+    case 'kickClient':
+      found = kickClient(message.clientId, message.reason);
+      notFoundMessage = `Client ${message.clientId} is not connected`;
+      break;
+      
+    case 'evictCamera':
+      found = evictCamera(message.room, message.cameraId, message.reason);
+      notFoundMessage = `Camera ${message.cameraId} is not registered in room ${message.room}`;
+      break;
+      
+    case 'closeRoom':
+      found = closeRoom(message.room, message.reason);
+      notFoundMessage = `Room ${message.room} has no members`;
+      break;
+  }
+  
+  if (!found) {
+    sendError(sender, message.type, ErrorCodes.NOT_FOUND, notFoundMessage, message.requestId);
+    return;
+  }
+  
+  sender.send(JSON.stringify({
+    type: 'adminResult',
+    action: message.type,
+    requestId: message.requestId
+  }));
+}
+
+// Decide how a camera registration should proceed. Returns
+// { action, existingClientId } or { rejection: { reason, message } }.
+function checkCameraRegistration(sender, room, cameraId, cameraKey) {
+  // A camera ID the room policy reserves can only be registered by its owner
+  const ownershipRejection = roomPolicy.checkCameraOwnership(roomPolicies.get(room), {
+    cameraId,
+    identityId: sender.identity ? sender.identity.id : null,
+    cameraKey
+  });
+  if (ownershipRejection) {
+    return { rejection: ownershipRejection };
+  }
+  
+  const existingClientId = stateAdapter.getCamera(room, cameraId);
+  if (existingClientId === sender.clientId) {
+    return { action: 'rejoin' };
+  }
+  if (!existingClientId || !stateAdapter.hasClient(existingClientId)) {
+    return { action: 'register' };
+  }
+  
+  // Another live client already holds this camera ID. Only the same camera
+  // may take it over or stand by: one that passed the room policy's
+  // reservation of the ID, or that has the holder's verified identity.
+  const existing = stateAdapter.getClient(existingClientId);
+  const sameCamera = Boolean(roomPolicy.getCameraReservation(roomPolicies.get(room), cameraId)) ||
+    Boolean(sender.identity && existing && existing.identity === sender.identity.id);
+  
+  switch (sameCamera ? DUPLICATE_CAMERA_POLICY : 'reject') {
+    case 'standby':
+      return { action: 'standby', existingClientId };
+      
+    case 'replace':
+      return { action: 'replace', existingClientId };
+      
+    default:
+      notifyDuplicateCamera(room, cameraId, 'rejected', existingClientId, sender);
+      return {
+        rejection: { reason: 'duplicateCamera', message: `Camera ID ${cameraId} is already registered` }
+      };
+  }
+}
+
+// Check a join against the server's limits on rooms, clients per room and
+// cameras per room. Returns a rejection `{ reason, message }`, or null.
+function checkRoomLimits(sender, room, registration) {
+  const rooms = stateAdapter.getRooms();
+  if (!sender.rooms.has(room)) {
+    if (rooms.includes(room)) {
+      if (MAX_CLIENTS_PER_ROOM > 0 && stateAdapter.getClientsInRoom(room).length >= MAX_CLIENTS_PER_ROOM) {
+        return { reason: 'roomFull', message: `Room ${room} is full (${MAX_CLIENTS_PER_ROOM} clients)` };
+      }
+    } else if (MAX_ROOMS > 0 && rooms.length >= MAX_ROOMS) {
+      return { reason: 'tooManyRooms', message: `The server has reached its limit of ${MAX_ROOMS} rooms` };
+    }
+  }
+  
+  // Only a camera ID new to the room adds to its camera count
+  if (registration && registration.action === 'register' &&
+      MAX_CAMERAS_PER_ROOM > 0 && stateAdapter.getCameras(room).size >= MAX_CAMERAS_PER_ROOM) {
+    return { reason: 'tooManyCameras', message: `Room ${room} already has the maximum of ${MAX_CAMERAS_PER_ROOM} cameras` };
+  }
+  
+  return null;
+}
+
+// Count the viewers paired with a camera client, not counting one viewer
+function countViewers(cameraClientId, excludeViewerId) {
+  let count = 0;
+  stateAdapter.getStreamSessions().forEach(session => {
+    if (session.cameraClientId === cameraClientId && session.viewerId !== excludeViewerId) {
+      count++;
+    }
+  });
+  return count;
+}
+
+// Report a duplicate registration outcome to both the current and incoming camera.
+// `role` tells each recipient which side it is; `clientId` names the other side.
+function notifyDuplicateCamera(room, cameraId, outcome, currentClientId, incoming) {
+  const notice = { type: 'duplicateCamera', room: room, cameraId: cameraId, outcome: outcome };
+  sendToClient(currentClientId, { ...notice, role: 'current', clientId: incoming.clientId });
+  incoming.send(JSON.stringify({ ...notice, role: 'incoming', clientId: currentClientId }));
+}
+
+// Register a camera that passed checkCameraRegistration and notify the room
+function registerCamera(sender, registration) {
+  const room = getCameraRoom(sender);
+  const cameraId = sender.cameraId;
+  
+  if (registration.action === 'standby') {
+    stateAdapter.setStandbyCamera(room, cameraId, sender.clientId, sender.cameraMetadata);
+    clientLogger(sender).info('Camera queued as standby', { currentClientId: registration.existingClientId });
+    
+    notifyDuplicateCamera(room, cameraId, 'standby', registration.existingClientId, sender);
+    return;
+  }
+  
+  if (registration.action === 'replace') {
+    clientLogger(sender).info('Camera replaced', { previousClientId: registration.existingClientId });
+    notifyDuplicateCamera(room, cameraId, 'replaced', registration.existingClientId, sender);
+  }
+  
+  // Add to available cameras tracking
+  stateAdapter.setCamera(room, cameraId, sender.clientId, sender.cameraMetadata);
+  clientLogger(sender).info('Registered camera');
+  
+  // Notify all viewers in the room about the available camera
+  broadcastToRoom(room, {
+    type: 'cameraAvailable',
+    room: room,
+    cameraId: cameraId,
+    clientId: sender.clientId,
+    metadata: stateAdapter.getCameraMetadata(room, cameraId)
+  }, sender);
+}
+
+// Answer a listCameras request with one page of the cameras in a room the
+// sender is in that match its filter. Pages are ordered by camera ID and the
+// cursor is the last camera ID of the previous page.
+function sendCameraList(sender, message) {
+  const room = resolveRoom(sender, message);
+  if (!room) {
+    return;
+  }
+  if (message.tags && !message.tags.every(tag => typeof tag === 'string')) {
+    sendError(sender, 'listCameras', ErrorCodes.INVALID_FIELD, "Field 'tags' must be a list of strings", message.requestId);
+    return;
+  }
+  
+  const matches = [];
+  stateAdapter.getCameras(room).forEach((clientId, cameraId) => {
+    const metadata = stateAdapter.getCameraMetadata(room, cameraId);
+    if (stateAdapter.hasClient(clientId) && matchesCameraFilter(cameraId, metadata, message)) {
+      matches.push({ cameraId, clientId, metadata });
+    }
+  });
+  matches.sort((a, b) => (a.cameraId < b.cameraId ? -1 : a.cameraId > b.cameraId ? 1 : 0));
+  
+  const limit = Math.min(Math.max(Math.floor(message.limit) || CAMERA_LIST_PAGE_SIZE, 1), MAX_CAMERA_LIST_PAGE_SIZE);
+  const start = message.cursor ? matches.filter(camera => camera.cameraId <= message.cursor).length : 0;
+  const cameras = matches.slice(start, start + limit);
+  
+  sender.send(JSON.stringify({
+    type: 'cameraList',
+    room: room,
+    cameras: cameras,
+    total: matches.length,
+    nextCursor: start + limit < matches.length ? cameras[cameras.length - 1].cameraId : null,
+    requestId: message.requestId
+  }));
+}
+
+// Merge a camera's metadata update and tell the room. Standby cameras keep
+// the update until they are promoted.
+function updateCameraMetadata(sender, message) {
+  const { cameraId, clientId } = sender;
+  const room = getCameraRoom(sender);
+  if (!room) {
+    sendError(sender, 'updateCamera', ErrorCodes.NOT_A_CAMERA, 'Only a camera that has joined a room can update its metadata', message.requestId);
+    return;
+  }
+  
+  const normalized = normalizeCameraMetadata(message.metadata);
+  if (normalized.error) {
+    sendError(sender, 'updateCamera', normalized.error.code, normalized.error.message, message.requestId);
+    return;
+  }
+  
+  const current = sender.cameraMetadata || {};
+  const metadata = { ...current, ...normalized.metadata };
+  if (current.capabilities && normalized.metadata.capabilities) {
+    metadata.capabilities = { ...current.capabilities, ...normalized.metadata.capabilities };
+  }
+  sender.cameraMetadata = metadata;
+  
+  const update = { type: 'cameraUpdated', room, cameraId, clientId, metadata };
+  if (stateAdapter.getCamera(room, cameraId) === clientId) {
+    stateAdapter.setCameraMetadata(room, cameraId, metadata);
+    clientLogger(sender).info('Updated camera metadata');
+    broadcastToRoom(room, update, sender);
+  } else if (stateAdapter.getStandbyCameras(room, cameraId).some(standby => standby.clientId === clientId)) {
+    stateAdapter.setStandbyCamera(room, cameraId, clientId, metadata);
+  }
+  
+  sender.send(JSON.stringify({ ...update, requestId: message.requestId }));
+}
+
+// End a viewer's stream session with a camera, freeing its viewer slot, and
+// tell the camera so it closes its connection to the viewer. Stopping a stream
+// that has no session is not an error: the camera may already have left, or
+// the request may have been refused.
+function stopStream(sender, message) {
+  const room = resolveRoom(sender, message);
+  if (!room) {
+    return;
+  }
+  
+  const cameraClientId = stateAdapter.getCamera(room, message.cameraId);
+  const key = cameraClientId && streamSessionKey(cameraClientId, sender.clientId);
+  const session = key && stateAdapter.getStreamSession(key);
+  if (!session || session.room !== room) {
+    return;
+  }
+  
+  stateAdapter.deleteStreamSession(key);
+  clientLogger(sender, 'stopStream').info('Stream stopped', { cameraId: message.cameraId });
+  relayedMessagesCounter.inc({ type: 'streamStopped' });
+  sendToClient(cameraClientId, {
+    type: 'streamStopped',
+    viewerId: sender.clientId,
+    room: room
+  });
+}
+
+// Record the latest statistics a viewer reported for the streams it watches.
+// A batch with a malformed report, or one naming a room the viewer is not in,
+// is refused as a whole. Reports for cameras the viewer has no stream session
+// with are skipped and named in a single error. Reports are otherwise not
+// acknowledged; they are kept on the stream sessions so every instance can
+// aggregate them.
+function recordStreamStats(sender, message) {
+  if (sender.deviceType && sender.deviceType !== 'viewer') {
+    sendError(sender, 'streamStats', ErrorCodes.NOT_A_VIEWER, 'Only viewers can report stream statistics', message.requestId);
+    return;
+  }
+  
+  const reports = [];
+  for (const report of message.reports) {
+    const room = resolveRoom(sender, { type: 'streamStats', room: report.room, requestId: message.requestId });
+    if (!room) {
+      return;
+    }
+    
+    const normalized = normalizeStreamStats(report.stats);
+    if (normalized.error) {
+      sendError(sender, 'streamStats', normalized.error.code, normalized.error.message, message.requestId);
+      return;
+    }
+    reports.push({ cameraId: report.cameraId, room, stats: normalized.stats });
+  }
+  
+  const unknownCameras = [];
+  reports.forEach(({ cameraId, room, stats }) => {
+    const cameraClientId = stateAdapter.getCamera(room, cameraId);
+    const key = cameraClientId && streamSessionKey(cameraClientId, sender.clientId);
+    const session = key && stateAdapter.getStreamSession(key);
+    if (!session || session.room !== room) {
+      unknownCameras.push(cameraId);
+      return;
+    }
+    stateAdapter.setStreamSession(key, { ...session, stats, statsUpdatedAt: Date.now() });
+  });
+  
+  if (unknownCameras.length > 0) {
+    sendError(sender, 'streamStats', ErrorCodes.NO_STREAM_SESSION, `No stream has been requested from ${unknownCameras.length === 1 ? 'camera' : 'cameras'} ${unknownCameras.join(', ')}`, message.requestId);
+  }
+}
+
+// Release a client's camera registration or standby slot in its room.
+// The first connected standby is promoted; otherwise the room is told the camera
+// is unavailable.
+function releaseCamera(client) {
+  const { cameraId, clientId } = client;
+  const room = getCameraRoom(client);
+  if (!room) {
+    return;
+  }
+  
+  if (stateAdapter.getStandbyCameras(room, cameraId).some(standby => standby.clientId === clientId)) {
+    stateAdapter.removeStandbyCamera(room, cameraId, clientId);
+    clientLogger(client).info('Removed standby camera');
+  }
+  
+  if (stateAdapter.getCamera(room, cameraId) !== clientId) {
+    return;
+  }
+  
+  stateAdapter.deleteCamera(room, cameraId);
+  clientLogger(client).info('Camera removed from room');
+  
+  // Promote the first standby, on any instance, that is still connected to
+  // the same camera ID
+  for (const standby of stateAdapter.getStandbyCameras(room, cameraId).slice()) {
+    stateAdapter.removeStandbyCamera(room, cameraId, standby.clientId);
+    const next = stateAdapter.getClient(standby.clientId);
+    if (next && next.deviceType === 'camera' && next.cameraId === cameraId && next.rooms.includes(room)) {
+      stateAdapter.setCamera(room, cameraId, standby.clientId, standby.metadata);
+      clientLogger(client).info('Promoted standby camera', { nextClientId: standby.clientId });
+      
+      sendToClient(standby.clientId, {
+        type: 'cameraPromoted',
+        room: room,
+        cameraId: cameraId,
+        previousClientId: clientId
+      });
+      broadcastToRoom(room, {
+        type: 'cameraAvailable',
+        room: room,
+        cameraId: cameraId,
+        clientId: standby.clientId,
+        metadata: stateAdapter.getCameraMetadata(room, cameraId)
+      }, { clientId: standby.clientId });
+      return;
+    }
+  }
+  
+  // Notify other clients in the room that this camera is no longer available
+  broadcastToRoom(room, {
+    type: 'cameraUnavailable',
+    room: room,
+    cameraId: cameraId,
+    clientId: clientId
+  }, client);
+}
+
+// Disconnect a client, wherever it is connected, telling it why.
+// Returns false if the client is not connected.
+function kickClient(clientId, reason, details) {
+  if (!stateAdapter.hasClient(clientId)) {
+    return false;
+  }
+  
+  logger.info('Kicking client', { clientId, reason, ...details });
+  sendToClient(clientId, {
+    type: 'kicked',
+    reason: reason || 'Disconnected by an administrator',
+    ...details
+  });
+  return true;
+}
+
+// Unregister a camera ID from a room and disconnect every client holding it,
+// including standbys. Returns false if the camera is not registered.
+function evictCamera(room, cameraId, reason) {
+  const clientId = stateAdapter.getCamera(room, cameraId);
+  if (!clientId) {
+    return false;
+  }
+  
+  logger.info('Evicting camera', { room, cameraId, clientId, reason });
+  const standby = stateAdapter.getStandbyCameras(room, cameraId).map(entry => entry.clientId);
+  standby.forEach(standbyId => stateAdapter.removeStandbyCamera(room, cameraId, standbyId));
+  
+  stateAdapter.deleteCamera(room, cameraId);
+  closeStreamSessions(clientId);
+  broadcastToRoom(room, {
+    type: 'cameraUnavailable',
+    room: room,
+    cameraId: cameraId,
+    clientId: clientId
+  }, { clientId });
+  
+  [clientId, ...standby].forEach(holderId => {
+    kickClient(holderId, reason || `Camera ${cameraId} was evicted by an administrator`, { room, cameraId });
+  });
+  return true;
+}
+
+// Remove every member from a room, telling each that the room was closed.
+// Returns false if the room has no members.
+function closeRoom(room, reason) {
+  const members = stateAdapter.getClientsInRoom(room);
+  if (members.length === 0) {
+    return false;
+  }
+  
+  logger.info('Closing room', { room, members: members.length, reason });
+  members.forEach(member => {
+    sendToClient(member.clientId, {
+      type: 'roomClosed',
+      room: room,
+      reason: reason || 'Room closed by an administrator'
+    });
+  });
+  return true;
+}
+
+// Carry out a kick or room closure on the instance the affected client is
+// connected to, once its notification has been delivered
+function enforceAdminMessage(client, message) {
+  if (message.type === 'kicked') {
+    if (client.suspended) {
+      clearTimeout(client.graceTimer);
+      removeClient(client);
+    } else {
+      client.close(KICKED_CLOSE_CODE, 'Kicked');
+    }
+  } else if (message.type === 'roomClosed' && client.rooms.has(message.room)) {
+    removeFromRoom(client, message.room);
+  }
+}
+
+// Tell the rest of a client's room that it left ('clientLeft') or lost its
+// connection ('clientDisconnected'), so peers can close their connections to it
+function notifyDeparture(client, type, room) {
+  broadcastToRoom(room, {
+    type: type,
+    clientId: client.clientId,
+    deviceType: client.deviceType || 'viewer',
+    cameraId: client.cameraId,
+    room: room
+  }, client);
+}
+
+// Take a client out of a room, releasing its camera there and ending its
+// stream sessions in the room
+function removeFromRoom(client, room) {
+  if (getCameraRoom(client) === room) {
+    releaseCamera(client);
+  }
+  closeStreamSessions(client.clientId, room);
+  client.rooms.delete(room);
+  updateMembership(client);
+}
+
+// Get the room a camera client is in; cameras belong to one room at a time
+function getCameraRoom(client) {
+  if (client.deviceType !== 'camera' || !client.cameraId || client.rooms.size === 0) {
+    return null;
+  }
+  return client.rooms.values().next().value;
+}
+
+// Find the room a room-scoped message applies to: the room it names, which
+// the sender must be in, or else the sender's only room. Replies with an
+// error and returns null when there is none.
+function resolveRoom(sender, message) {
+  if (message.room) {
+    if (!sender.rooms.has(message.room)) {
+      sendError(sender, message.type, ErrorCodes.NOT_IN_ROOM, `Not in room ${message.room}`, message.requestId);
+      return null;
+    }
+    return message.room;
+  }
+  
+  if (sender.rooms.size === 1) {
+    return sender.rooms.values().next().value;
+  }
+  if (sender.rooms.size === 0) {
+    sendError(sender, message.type, ErrorCodes.NOT_IN_ROOM, 'Not in a room', message.requestId);
   } else {
-    console.log(`Client ${clientId} not found or not open`);
+    sendError(sender, message.type, ErrorCodes.ROOM_REQUIRED, "Name the 'room' when in several rooms", message.requestId);
   }
+  return null;
 }
 
-// Broadcast message to all clients except sender
-function broadcast(message, sender) {
-  clients.forEach((client, clientId) => {
-    if (client !== sender && client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(message));
+// Get a logger carrying a client's clientId, rooms and cameraId, and optionally
+// the type of the message being handled
+function clientLogger(client, type) {
+  return logger.child({
+    clientId: client.clientId,
+    rooms: client.rooms && client.rooms.size > 0 ? Array.from(client.rooms) : undefined,
+    cameraId: client.cameraId,
+    type: type || undefined
+  });
+}
+
+// Send a structured error reply to a client
+function sendError(client, messageType, code, message, requestId) {
+  if (client.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  client.send(JSON.stringify({
+    type: 'error',
+    messageType: messageType,
+    code: code,
+    message: message,
+    requestId: requestId
+  }));
+}
+
+// Get the key for a viewer/camera stream session
+function streamSessionKey(cameraClientId, viewerId) {
+  return `${cameraClientId}|${viewerId}`;
+}
+
+// Record that a viewer has requested a stream from a camera in a room
+function openStreamSession(viewer, room, cameraClientId, cameraId) {
+  stateAdapter.setStreamSession(streamSessionKey(cameraClientId, viewer.clientId), {
+    viewerId: viewer.clientId,
+    cameraClientId: cameraClientId,
+    cameraId: cameraId,
+    room: room,
+    createdAt: Date.now()
+  });
+}
+
+// Remove every stream session a client takes part in, optionally only those
+// in one room
+function closeStreamSessions(clientId, room) {
+  const keys = [];
+  stateAdapter.getStreamSessions().forEach((session, key) => {
+    if ((session.viewerId === clientId || session.cameraClientId === clientId) &&
+        (!room || session.room === room)) {
+      keys.push(key);
     }
   });
+  keys.forEach(key => stateAdapter.deleteStreamSession(key));
+}
+
+// Check that an offer/answer/ICE message may be relayed to its target:
+// the target must be connected, share the sender's room, and be paired with
+// the sender through requestStream. Replies with an error when it may not.
+function canRelay(sender, message) {
+  const target = stateAdapter.getClient(message.target);
+  if (!target) {
+    clientLogger(sender, message.type).warn('Relay target not found', { target: message.target });
+    sendError(sender, message.type, ErrorCodes.TARGET_NOT_FOUND, `Client ${message.target} is not connected`, message.requestId);
+    return false;
+  }
+  
+  if (!target.rooms.some(room => sender.rooms.has(room))) {
+    clientLogger(sender, message.type).warn('Relay target is not in the same room', { target: message.target });
+    sendError(sender, message.type, ErrorCodes.NOT_IN_SAME_ROOM, `Client ${message.target} is not in your room`, message.requestId);
+    return false;
+  }
+  
+  const session = stateAdapter.getStreamSession(streamSessionKey(sender.clientId, message.target)) ||
+    stateAdapter.getStreamSession(streamSessionKey(message.target, sender.clientId));
+  if (!session || !sender.rooms.has(session.room) || !target.rooms.includes(session.room)) {
+    clientLogger(sender, message.type).warn('No stream session with relay target', { target: message.target });
+    sendError(sender, message.type, ErrorCodes.NO_STREAM_SESSION, `No stream has been requested between you and client ${message.target}`, message.requestId);
+    return false;
+  }
+  
+  return true;
+}
+
+// Find the session a connecting client asked to resume with ?resume=<token>.
+// The session must belong to the same identity the client authenticated as.
+function findResumableSession(req, identity) {
+  const token = new URL(req.url, 'http://localhost').searchParams.get('resume');
+  if (!token) {
+    return null;
+  }
+  
+  const session = resumableSessions.get(token);
+  if (!session) {
+    logger.info('Resume token not recognised, starting a new session');
+    return null;
+  }
+  
+  const sessionIdentityId = session.identity ? session.identity.id : null;
+  const identityId = identity ? identity.id : null;
+  if (sessionIdentityId !== identityId) {
+    logger.warn('Resume token presented by a different identity, starting a new session', { clientId: session.clientId });
+    return null;
+  }
+  
+  return session;
+}
+
+// Move a previous session's state onto a new connection
+function resumeSession(previous, ws) {
+  resumableSessions.delete(previous.resumeToken);
+  if (previous.graceTimer) {
+    clearTimeout(previous.graceTimer);
+    previous.graceTimer = null;
+  }
+  
+  // The old socket may not have noticed it is dead yet
+  if (!previous.suspended) {
+    previous.superseded = true;
+    previous.pendingMessages = [];
+    previous.terminate();
+  }
+  
+  ws.clientId = previous.clientId;
+  ws.rooms = previous.rooms;
+  ws.deviceType = previous.deviceType;
+  ws.cameraId = previous.cameraId;
+  ws.cameraMetadata = previous.cameraMetadata;
+  ws.connectedAt = previous.connectedAt;
+}
+
+// Hold a disconnected client's identity, room and camera registration for the
+// grace period. Messages for the client are buffered until it resumes.
+function suspendSession(ws) {
+  clientLogger(ws).info('Holding session for resumption', { gracePeriod: SESSION_GRACE_PERIOD });
+  ws.suspended = true;
+  ws.pendingMessages = [];
+  ws.graceTimer = setTimeout(() => {
+    clientLogger(ws).info('Session expired');
+    resumableSessions.delete(ws.resumeToken);
+    removeClient(ws);
+  }, SESSION_GRACE_PERIOD);
+}
+
+// Buffer a message for a suspended session, dropping the oldest when full
+function bufferForSuspended(client, message) {
+  client.pendingMessages.push(message);
+  if (client.pendingMessages.length > MAX_PENDING_MESSAGES) {
+    client.pendingMessages.shift();
+  }
+}
+
+// Remove a client for good: release its camera, end its stream sessions and
+// forget its resume token
+function removeClient(ws) {
+  // Remove camera from available cameras if it was a camera
+  if (ws.deviceType === 'camera' && ws.cameraId) {
+    clientLogger(ws).debug('Removing camera from available cameras');
+    releaseCamera(ws);
+  }
+  
+  resumableSessions.delete(ws.resumeToken);
+  closeStreamSessions(ws.clientId);
+  if (clients.get(ws.clientId) === ws) {
+    ws.rooms.forEach(room => notifyDeparture(ws, 'clientDisconnected', room));
+    clients.delete(ws.clientId);
+    stateAdapter.removeClient(ws.clientId);
+    connectionDuration.observe((Date.now() - ws.connectedAt) / 1000, {
+      deviceType: ws.rooms.size > 0 ? (ws.deviceType || 'viewer') : 'none'
+    });
+  }
+}
+
+// Publish a local client's room membership to the state adapter
+function updateMembership(ws) {
+  stateAdapter.setClient(ws.clientId, {
+    rooms: Array.from(ws.rooms),
+    // Clients that join without a device type are treated as viewers
+    deviceType: ws.deviceType || (ws.rooms.size > 0 ? 'viewer' : null),
+    cameraId: ws.cameraId || null,
+    identity: ws.identity ? ws.identity.id : null,
+    connectedAt: ws.connectedAt
+  });
+}
+
+// Deliver a message to a client connected to this instance, buffering it if
+// the client's session is suspended
+function deliverToLocalClient(clientId, message) {
+  const client = clients.get(clientId);
+  if (client && client.suspended) {
+    bufferForSuspended(client, message);
+    enforceAdminMessage(client, message);
+    return true;
+  }
+  if (client && client.readyState === WebSocket.OPEN) {
+    client.send(JSON.stringify(message));
+    enforceAdminMessage(client, message);
+    return true;
+  }
+  return false;
+}
+
+// Send message to specific client
+function sendToClient(clientId, message) {
+  if (!stateAdapter.sendToClient(clientId, message)) {
+    logger.debug('Client not found or not open', { clientId, type: message.type });
+  }
 }
 
 // Broadcast message to all clients in the same room except sender
 function broadcastToRoom(room, message, sender) {
-  clients.forEach((client, clientId) => {
-    if (client !== sender && client.room === room && client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(message));
-    }
+  stateAdapter.broadcastToRoom(room, message, sender ? sender.clientId : undefined);
+}
+
+// Tell local clients about cameras lost with another server instance
+function handleInstanceLost(instanceId, lost) {
+  logger.warn('Server instance lost', { instanceId, clients: lost.clients.length, cameras: lost.cameras.length });
+  lost.clients.forEach(lostClient => {
+    lostClient.rooms.forEach(room => {
+      clients.forEach((client, clientId) => {
+        if (client.rooms.has(room)) {
+          deliverToLocalClient(clientId, {
+            type: 'clientDisconnected',
+            clientId: lostClient.clientId,
+            deviceType: lostClient.deviceType || 'viewer',
+            cameraId: lostClient.cameraId,
+            room: room
+          });
+        }
+      });
+    });
+  });
+  lost.cameras.forEach(camera => {
+    clients.forEach((client, clientId) => {
+      if (client.rooms.has(camera.room)) {
+        deliverToLocalClient(clientId, {
+          type: 'cameraUnavailable',
+          room: camera.room,
+          cameraId: camera.cameraId,
+          clientId: camera.clientId
+        });
+      }
+    });
   });
 }
 
@@ -333,47 +1465,89 @@ function generateClientId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
-// Get client count by room
-function getClientCountByRoom(room) {
-  let count = 0;
-  clients.forEach(client => {
-    if (client.room === room) {
-      count++;
+// Ping every client and terminate those that have stopped answering. Terminating
+// a socket fires its 'close' handler, which releases cameras and stream sessions.
+function checkHeartbeats() {
+  const now = Date.now();
+  clients.forEach((client, clientId) => {
+    // Suspended sessions have no socket to ping
+    if (client.suspended) {
+      return;
+    }
+    
+    if (now - client.lastSeen > HEARTBEAT_TIMEOUT) {
+      clientLogger(client).info('Client missed heartbeats, terminating', { silentFor: now - client.lastSeen });
+      client.terminate();
+      return;
+    }
+    
+    if (client.readyState === WebSocket.OPEN) {
+      client.pingSentAt = now;
+      client.ping();
     }
   });
-  return count;
 }
 
-// Get clients in room
+// Get client count by room across all server instances
+function getClientCountByRoom(room) {
+  return stateAdapter.getClientsInRoom(room).length;
+}
+
+// Get clients in room across all server instances
 function getClientsInRoom(room) {
-  const roomClients = [];
-  clients.forEach((client, clientId) => {
-    if (client.room === room) {
-      roomClients.push({ clientId, client });
-    }
-  });
-  return roomClients;
+  return stateAdapter.getClientsInRoom(room);
 }
 
 // Start server
 const PORT = process.env.PORT || 8080;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server is listening on port ${PORT}`);
-  console.log(`Access the application at: http://localhost:${PORT}`);
+// Start the state adapter, then listen and begin the heartbeat loop and
+// periodic room statistics logging
+async function start() {
+  await stateAdapter.start(deliverToLocalClient);
+  stateAdapter.on('instanceLost', handleInstanceLost);
+  stateAdapter.on('brokerError', error => logger.error('State adapter broker error', { error }));
   
-  // Log room statistics every 30 seconds
-  setInterval(() => {
-    const rooms = new Set();
-    clients.forEach(client => {
-      if (client.room) {
-        rooms.add(client.room);
-      }
-    });
+  server.listen(PORT, '0.0.0.0', () => {
+    logger.info('Server is listening', { port: server.address().port, url: `http://localhost:${server.address().port}` });
     
-    console.log(`Active rooms: ${rooms.size}`);
-    rooms.forEach(room => {
-      const clientCount = getClientCountByRoom(room);
-      console.log(`  Room '${room}': ${clientCount} clients`);
-    });
-  }, 30000);
-});
+    // Detect dead connections that never sent a close frame
+    const heartbeat = setInterval(checkHeartbeats, HEARTBEAT_INTERVAL);
+    wss.on('close', () => clearInterval(heartbeat));
+    
+    // Log a room statistics summary every 30 seconds at debug level
+    setInterval(() => {
+      if (!logger.isLevelEnabled('debug')) {
+        return;
+      }
+      
+      const rooms = {};
+      stateAdapter.getRooms().forEach(room => {
+        rooms[room] = getClientCountByRoom(room);
+      });
+      logger.debug('Room statistics', { activeRooms: Object.keys(rooms).length, rooms });
+    }, 30000);
+  });
+}
+
+// Only listen when run directly so the server can be embedded and configured
+if (require.main === module) {
+  start().catch(error => {
+    logger.error('Failed to start server', { error });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  app,
+  logger,
+  server,
+  wss,
+  start,
+  setTokenVerifier,
+  setRoomPolicy,
+  removeRoomPolicy,
+  setStateAdapter,
+  kickClient,
+  evictCamera,
+  closeRoom
+};
@@ -0,0 +1,133 @@
+/**
+ * Client event emitter tests, run against the module as Node loads it and as
+ * a browser loads it: evaluated in a separate realm with a window and no
+ * process or require
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const LIBRARY_PATH = path.join(__dirname, '..', 'lib', 'webrtc-cctv-api.js');
+
+// Load the library the way a <script> tag would and return what it put on window
+function loadInBrowserRealm() {
+  const window = { document: {}, WebSocket: class WebSocket {} };
+  const context = vm.createContext({ window, setTimeout, clearTimeout, console });
+  vm.runInContext(fs.readFileSync(LIBRARY_PATH, 'utf8'), context, { filename: LIBRARY_PATH });
+  return {
+    api: window.WebRTCCCTVAPI,
+    RealmError: vm.runInContext('Error', context),
+    RealmRangeError: vm.runInContext('RangeError', context)
+  };
+}
+
+const environments = [
+  { name: 'Node.js', load: () => ({ api: require(LIBRARY_PATH), RealmError: Error, RealmRangeError: RangeError }) },
+  { name: 'browser', load: loadInBrowserRealm }
+];
+
+environments.forEach(({ name, load }) => {
+  describe(`EventEmitter in ${name}`, () => {
+    const { api, RealmError, RealmRangeError } = load();
+    const { EventEmitter } = api;
+
+    // Arrays made by the library belong to its realm; copy them for deepEqual
+    const names = emitter => Array.from(emitter.eventNames());
+
+    it('is exported and reports the environment', () => {
+      assert.equal(typeof EventEmitter, 'function');
+      assert.equal(Boolean(api.isNode), name === 'Node.js');
+      assert.equal(api.isBrowser, name === 'browser');
+      assert.ok(new api.ViewerClient() instanceof EventEmitter);
+    });
+
+    it('calls listeners in order and removes once listeners after one call', () => {
+      const emitter = new EventEmitter();
+      const calls = [];
+      emitter.on('tick', value => calls.push(['on', value]));
+      emitter.once('tick', value => calls.push(['once', value]));
+      emitter.prependListener('tick', value => calls.push(['first', value]));
+
+      assert.equal(emitter.emit('tick', 1), true);
+      emitter.emit('tick', 2);
+      assert.deepEqual(calls, [['first', 1], ['on', 1], ['once', 1], ['first', 2], ['on', 2]]);
+      assert.equal(emitter.emit('other'), false);
+    });
+
+    it('removes once listeners with off and the function passed in', () => {
+      const emitter = new EventEmitter();
+      const listener = () => assert.fail('removed listener was called');
+      emitter.once('tick', listener);
+      assert.deepEqual(Array.from(emitter.listeners('tick')), [listener]);
+      assert.equal(emitter.rawListeners('tick')[0].listener, listener);
+
+      emitter.off('tick', listener);
+      assert.equal(emitter.listenerCount('tick'), 0);
+      assert.deepEqual(names(emitter), []);
+      emitter.emit('tick');
+    });
+
+    it('emits newListener and removeListener', () => {
+      const emitter = new EventEmitter();
+      const events = [];
+      const listener = () => {};
+      emitter.on('newListener', event => events.push(['new', event]));
+      emitter.on('removeListener', event => events.push(['removed', event]));
+
+      emitter.on('tick', listener);
+      emitter.removeListener('tick', listener);
+      emitter.once('tock', listener);
+      emitter.emit('tock');
+      assert.deepEqual(events, [
+        ['new', 'removeListener'],
+        ['new', 'tick'],
+        ['removed', 'tick'],
+        ['new', 'tock'],
+        ['removed', 'tock']
+      ]);
+
+      emitter.removeAllListeners();
+      assert.deepEqual(names(emitter), []);
+    });
+
+    it('throws an emitted error that has no listener', () => {
+      const emitter = new EventEmitter();
+      const error = new RealmError('boom');
+      assert.throws(() => emitter.emit('error', error), thrown => thrown === error);
+      assert.throws(() => emitter.emit('error', 'text'), /Unhandled error: text/);
+
+      const handled = [];
+      emitter.on('error', thrown => handled.push(thrown));
+      assert.equal(emitter.emit('error', error), true);
+      assert.deepEqual(handled, [error]);
+    });
+
+    it('keeps a listener limit', () => {
+      const emitter = new EventEmitter();
+      assert.equal(emitter.getMaxListeners(), EventEmitter.defaultMaxListeners);
+      assert.equal(emitter.setMaxListeners(2), emitter);
+      assert.equal(emitter.getMaxListeners(), 2);
+      assert.throws(() => emitter.setMaxListeners(-1), RealmRangeError);
+      assert.equal(new api.ViewerClient().getMaxListeners(), 0);
+    });
+
+    it('waitFor resolves on the first emission the predicate accepts', async () => {
+      const emitter = new EventEmitter();
+      const waiting = emitter.waitFor('camera', camera => camera.id === 'back');
+      emitter.emit('camera', { id: 'front' });
+      emitter.emit('camera', { id: 'back' });
+
+      assert.deepEqual(await waiting, { id: 'back' });
+      assert.equal(emitter.listenerCount('camera'), 0);
+    });
+
+    it('waitFor rejects and stops listening when the timeout expires', async () => {
+      const emitter = new EventEmitter();
+      await assert.rejects(emitter.waitFor('camera', null, 20), /Timed out after 20ms waiting for camera/);
+      assert.equal(emitter.listenerCount('camera'), 0);
+    });
+  });
+});
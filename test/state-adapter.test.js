@@ -0,0 +1,191 @@
+/**
+ * State adapter tests: MemoryAdapter on its own, and PubSubAdapter instances
+ * sharing state through an InProcessBroker
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryAdapter, PubSubAdapter, InProcessBroker } = require('../lib/state-adapter');
+
+// Let published events, and the events they trigger, reach the other
+// adapters. The broker delivers each publish on a later turn of the event loop.
+async function settle() {
+  for (let turn = 0; turn < 5; turn++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+// Create an adapter whose deliveries are recorded as [clientId, message]
+function createAdapter(AdapterClass, options) {
+  const adapter = new AdapterClass(options);
+  adapter.delivered = [];
+  return adapter;
+}
+
+async function startAdapter(adapter) {
+  await adapter.start((clientId, message) => {
+    adapter.delivered.push([clientId, message]);
+    return true;
+  });
+  return adapter;
+}
+
+describe('MemoryAdapter', () => {
+  it('tracks membership, cameras and stream sessions', async () => {
+    const adapter = await startAdapter(createAdapter(MemoryAdapter));
+    adapter.setClient('viewer', { rooms: ['lobby'], deviceType: 'viewer' });
+    adapter.setClient('camera', { rooms: ['lobby'], deviceType: 'camera', cameraId: 'front' });
+    adapter.setCamera('lobby', 'front', 'camera', { name: 'Front door' });
+    adapter.setStreamSession('camera|viewer', { viewerId: 'viewer', cameraClientId: 'camera', room: 'lobby' });
+
+    assert.deepEqual(adapter.getRooms(), ['lobby']);
+    assert.equal(adapter.getClientsInRoom('lobby').length, 2);
+    assert.equal(adapter.getCamera('lobby', 'front'), 'camera');
+    assert.deepEqual(adapter.getCameraMetadata('lobby', 'front'), { name: 'Front door' });
+    assert.equal(adapter.getStreamSession('camera|viewer').room, 'lobby');
+
+    adapter.deleteCamera('lobby', 'front');
+    adapter.removeClient('camera');
+    assert.equal(adapter.getCamera('lobby', 'front'), undefined);
+    assert.deepEqual(adapter.getCameraMetadata('lobby', 'front'), {});
+    assert.equal(adapter.hasClient('camera'), false);
+  });
+
+  it('queues standby cameras in order and updates them in place', async () => {
+    const adapter = await startAdapter(createAdapter(MemoryAdapter));
+    adapter.setStandbyCamera('lobby', 'front', 'first', { name: 'A' });
+    adapter.setStandbyCamera('lobby', 'front', 'second');
+    adapter.setStandbyCamera('lobby', 'front', 'first', { name: 'B' });
+
+    assert.deepEqual(adapter.getStandbyCameras('lobby', 'front'), [
+      { clientId: 'first', metadata: { name: 'B' } },
+      { clientId: 'second', metadata: {} }
+    ]);
+
+    adapter.removeStandbyCamera('lobby', 'front', 'first');
+    adapter.removeStandbyCamera('lobby', 'front', 'second');
+    assert.deepEqual(adapter.getStandbyCameras('lobby', 'front'), []);
+    assert.equal(adapter.standbyCameras.size, 0);
+  });
+
+  it('delivers to local clients only', async () => {
+    const adapter = await startAdapter(createAdapter(MemoryAdapter));
+    adapter.setClient('a', { rooms: ['lobby'] });
+    adapter.setClient('b', { rooms: ['lobby'] });
+
+    assert.equal(adapter.sendToClient('a', { type: 'hello' }), true);
+    assert.equal(adapter.sendToClient('missing', { type: 'hello' }), false);
+    adapter.broadcastToRoom('lobby', { type: 'news' }, 'a');
+
+    assert.deepEqual(adapter.delivered, [
+      ['a', { type: 'hello' }],
+      ['b', { type: 'news' }]
+    ]);
+  });
+});
+
+describe('PubSubAdapter with InProcessBroker', () => {
+  // Start a PubSubAdapter on a shared broker, stopped when the test ends
+  async function startInstance(t, broker, options = {}) {
+    const adapter = await startAdapter(createAdapter(PubSubAdapter, { broker, ...options }));
+    t.after(() => adapter.stop());
+    return adapter;
+  }
+
+  it('replicates state changes to the other instances', async t => {
+    const broker = new InProcessBroker();
+    const a = await startInstance(t, broker);
+    const b = await startInstance(t, broker);
+
+    a.setClient('camera', { rooms: ['lobby'], deviceType: 'camera', cameraId: 'front' });
+    a.setCamera('lobby', 'front', 'camera', { name: 'Front door' });
+    a.setStandbyCamera('lobby', 'front', 'standby', { name: 'Spare' });
+    a.setStreamSession('camera|viewer', { viewerId: 'viewer', cameraClientId: 'camera', room: 'lobby' });
+    await settle();
+
+    assert.equal(b.getClient('camera').instanceId, a.instanceId);
+    assert.equal(b.getCamera('lobby', 'front'), 'camera');
+    assert.deepEqual(b.getCameraMetadata('lobby', 'front'), { name: 'Front door' });
+    assert.deepEqual(b.getStandbyCameras('lobby', 'front'), [{ clientId: 'standby', metadata: { name: 'Spare' } }]);
+    assert.ok(b.getStreamSession('camera|viewer'));
+
+    b.removeStandbyCamera('lobby', 'front', 'standby');
+    b.deleteCamera('lobby', 'front');
+    await settle();
+    assert.deepEqual(a.getStandbyCameras('lobby', 'front'), []);
+    assert.equal(a.getCamera('lobby', 'front'), undefined);
+  });
+
+  it('routes messages to the instance a client is connected to', async t => {
+    const broker = new InProcessBroker();
+    const a = await startInstance(t, broker);
+    const b = await startInstance(t, broker);
+    a.setClient('on-a', { rooms: ['lobby'] });
+    b.setClient('on-b', { rooms: ['lobby'] });
+    await settle();
+
+    assert.equal(a.sendToClient('on-b', { type: 'direct' }), true);
+    a.broadcastToRoom('lobby', { type: 'news' }, 'on-a');
+    await settle();
+
+    assert.deepEqual(a.delivered, []);
+    assert.deepEqual(b.delivered, [
+      ['on-b', { type: 'direct' }],
+      ['on-b', { type: 'news' }]
+    ]);
+  });
+
+  it('sends its own state to an instance that starts later', async t => {
+    const broker = new InProcessBroker();
+    const a = await startInstance(t, broker);
+    a.setClient('camera', { rooms: ['lobby'], deviceType: 'camera', cameraId: 'front' });
+    a.setCamera('lobby', 'front', 'camera');
+    await settle();
+
+    const b = await startInstance(t, broker);
+    await settle();
+
+    assert.ok(b.hasClient('camera'));
+    assert.equal(b.getCamera('lobby', 'front'), 'camera');
+  });
+
+  it('drops the state of an instance that stops sending heartbeats', async t => {
+    const broker = new InProcessBroker();
+    const timing = { heartbeatInterval: 20, instanceTimeout: 60 };
+    const a = await startInstance(t, broker, timing);
+    const b = await startInstance(t, broker, timing);
+    a.setClient('camera', { rooms: ['lobby'], deviceType: 'camera', cameraId: 'front' });
+    a.setCamera('lobby', 'front', 'camera');
+    a.setClient('standby', { rooms: ['lobby'], deviceType: 'camera', cameraId: 'front' });
+    a.setStandbyCamera('lobby', 'front', 'standby');
+    await settle();
+
+    const lost = new Promise(resolve => b.once('instanceLost', (instanceId, state) => resolve({ instanceId, state })));
+    await a.stop();
+    const { instanceId, state } = await lost;
+
+    assert.equal(instanceId, a.instanceId);
+    assert.deepEqual(state.clients.map(client => client.clientId).sort(), ['camera', 'standby']);
+    assert.deepEqual(state.cameras, [{ room: 'lobby', cameraId: 'front', clientId: 'camera' }]);
+    assert.equal(b.getCamera('lobby', 'front'), undefined);
+    assert.deepEqual(b.getStandbyCameras('lobby', 'front'), []);
+  });
+
+  it('reports broker failures with brokerError instead of throwing', async t => {
+    const broker = new InProcessBroker();
+    broker.publish = () => {
+      throw new Error('broker down');
+    };
+    const adapter = await startInstance(t, broker);
+    const errors = [];
+    adapter.on('brokerError', error => errors.push(error.message));
+
+    adapter.setClient('viewer', { rooms: ['lobby'] });
+    adapter._handleEvent('not json');
+    await settle();
+
+    assert.ok(errors.includes('broker down'));
+    assert.ok(errors.some(message => message.includes('JSON')));
+    assert.ok(adapter.hasClient('viewer'));
+  });
+});